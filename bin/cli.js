@@ -4,62 +4,113 @@
 
 var _ = require('underscore');
 var fs = require('fs');
+var url = require('url');
+var path = require('path');
 var chalk = require('chalk');
 var program = require('commander');
 
 var StyleStats = require('../lib/stylestats');
 var Format = require('../lib/format');
 var util = require('../lib/util');
+var compare = require('../lib/compare');
+var history = require('../lib/history');
+
+/**
+ * Collect values of repeatable option
+ * @param {String} value
+ * @param {Array} values
+ * @returns {Array}
+ */
+function collect(value, values) {
+  return values.concat(value);
+}
 
 program
   .version(require('../package.json').version)
   .usage('[options] <file ...>')
   .option('-c, --config [path]', 'Path and name of the incoming JSON file.')
-  .option('-t, --type [format]', 'Specify the output format. <json|html|csv>')
+  .option('-t, --type [format]', 'Specify comma separated output formats. <json|html|csv|markdown|junit>')
+  .option('-o, --output [path]', 'Write the report to the file.')
+  .option('--output-dir [path]', 'Write the report of each format to the directory.')
   .option('-s, --simple', 'Show compact style\'s log.')
   .option('-g, --gzip', 'Show gzipped file size.')
   .option('-n, --number', 'Show only numeral metrics.')
-  .option('-u, --ua [OS]', 'Specify the user agent. <ios|android>')
+  .option('-p, --profile [name]', 'Specify the device profile of the configuration. <ios|android>')
+  .option('-u, --ua [name]', 'Alias of --profile.')
+  .option('-H, --header [header]', 'Add the request header such as "Name: value". Repeatable.', collect, [])
+  .option('--cookie [cookie]', 'Add the cookie such as "name=value". Repeatable.', collect, [])
+  .option('--auth [user:password]', 'Use the basic authentication.')
+  .option('-b, --budget [path]', 'Path and name of the budget JSON file.')
+  .option('--compare [path]', 'Path of the baseline JSON file or stylesheet to compare with.')
+  .option('--crawl [depth]', 'Follow same-origin links of the URL up to the depth.')
+  .option('--crawl-limit [number]', 'Max number of pages to crawl.')
+  .option('--pages [paths]', 'Comma separated HTML files or URLs to find unused selectors.')
+  .option('--plugin [paths]', 'Comma separated modules of custom metrics.')
+  .option('--save-history [path]', 'Append stats to the history file of NDJSON.')
+  .option('--label [label]', 'Label of stats saved to the history such as git SHA.')
+  .option('--trend [path]', 'Show trend charts of the history file in HTML.')
   .parse(process.argv);
 
-if (!program.args.length) {
+if (!program.args.length && !program.trend) {
   console.log(chalk.red('\n No input file specified.'));
   program.help();
 }
 
 
 // Config
-var config = {
-  requestOptions: {
-    headers: {}
-  }
-};
+var config = {};
 if (program.gzip) {
   config.gzippedSize = true;
 }
-if (program.ua) {
-  var iOS = 'Mozilla/5.0 (iPhone; CPU iPhone OS 7_0 like Mac OS X) AppleWebKit/537.51.1 (KHTML, like Gecko) Version/7.0 Mobile/11A465 Safari/9537.53';
-  var Android = 'Mozilla/5.0 (Linux; Android 4.4; Nexus 5 Build/KRT16M) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/31.0.1650.59 Mobile Safari/537.36';
-  switch (program.ua) {
-    case 'ios':
-      config.requestOptions.headers['User-Agent'] = iOS;
-      break;
-    case 'android':
-      config.requestOptions.headers['User-Agent'] = Android;
-      break;
-    default:
-      console.error(chalk.yellow(' [WARN] User agent should be `ios` or `android`.'));
-      break;
+if (program.crawl) {
+  config.crawl = true;
+  if (program.crawl !== true) {
+    config.crawlDepth = parseInt(program.crawl, 10);
   }
 }
+if (program.crawlLimit) {
+  config.crawlLimit = parseInt(program.crawlLimit, 10);
+}
+if (program.pages) {
+  config.pages = program.pages.split(',');
+}
 if (program.number) {
   var numberConfig = {
     "published": false,
     "paths": false,
     "mostIdentifierSelector": false,
+    "mostIdentifierLocation": false,
     "lowestCohesionSelector": false,
+    "lowestCohesionLocation": false,
+    "highestSpecificitySelector": false,
+    "highestSpecificityLocation": false,
+    "specificityHistogram": false,
+    "specificityGraph": false,
+    "vendorPrefixes": false,
+    "browserHackTypes": false,
+    "topDuplicateSelectors": false,
+    "topDuplicateDeclarationBlocks": false,
+    "topDuplicateProperties": false,
+    "fontFaceFamilies": false,
+    "keyframesNames": false,
+    "unusedKeyframes": false,
+    "uniqueMediaQueries": false,
+    "breakpoints": false,
+    "nearDuplicateBreakpoints": false,
     "uniqueFontSize": false,
+    "fontSizeUnits": false,
+    "fontSizeScale": false,
+    "uniqueLineHeight": false,
+    "uniqueFontWeight": false,
+    "uniqueLetterSpacing": false,
     "uniqueColor": false,
+    "colorUsage": false,
+    "nearDuplicateColors": false,
+    "unusedSelectors": false,
+    "pageStats": false,
+    "importGraph": false,
+    "requestErrors": false,
+    "inlineProperties": false,
     "propertiesCount": false
   };
   _.extend(config, numberConfig);
@@ -78,36 +129,253 @@ if (program.config && util.isFile(program.config)) {
   userConfig = config;
 }
 _.extend(config, userConfig);
+if (program.plugin) {
+  config.plugins = (config.plugins || []).concat(program.plugin.split(','));
+}
+if (program.profile || program.ua) {
+  config.profile = program.profile || program.ua;
+}
+program.header.forEach(function (header) {
+  var index = header.indexOf(':');
+  if (index === -1) {
+    console.error(chalk.yellow(' [WARN] Header should be `Name: value`: ' + header));
+    return;
+  }
+  config.headers = _.extend({}, config.headers);
+  config.headers[header.slice(0, index).trim()] = header.slice(index + 1).trim();
+});
+program.cookie.forEach(function (cookie) {
+  var index = cookie.indexOf('=');
+  if (index === -1) {
+    console.error(chalk.yellow(' [WARN] Cookie should be `name=value`: ' + cookie));
+    return;
+  }
+  config.cookies = _.extend({}, config.cookies);
+  config.cookies[cookie.slice(0, index).trim()] = cookie.slice(index + 1).trim();
+});
+if (program.auth) {
+  config.auth = program.auth;
+}
+// budget is a gate of CI, so that invalid budget file fails
+var budgetError = null;
+if (program.budget && util.isFile(program.budget)) {
+  var budgetString = fs.readFileSync(program.budget, {
+    encoding: 'utf8'
+  });
+  try {
+    config.budget = JSON.parse(budgetString);
+  } catch (e) {
+    budgetError = 'Budget file is invalid: ' + program.budget + ' (' + e.message + ')';
+  }
+} else if (program.budget) {
+  budgetError = 'Budget file is not found: ' + program.budget;
+}
 
 
-// Parse
-var stats = new StyleStats(program.args, config);
-stats.parse(function (error, result) {
-  if (error) {
-    console.log(chalk.red(' [ERROR] ' + error.message));
+/**
+ * Render stats or comparison in specified format
+ * @param {String} type
+ * @param {Object} result
+ * @param {Object} diff null if not compared
+ * @param {Object} registry of custom metrics
+ * @param {Function} callback
+ */
+function render(type, result, diff, registry, callback) {
+  var item = Format.TYPES[type] || Format.TYPES.table;
+  var done = function (report) {
+    callback(item === Format.TYPES.table ? ' StyleStats!\n' + report : report);
+  };
+  // formats without comparison such as CSV and JUnit show stats
+  if (diff && item.diffMethod) {
+    new Format(diff, program.simple, registry)[item.diffMethod](done);
+  } else {
+    new Format(result, program.simple, registry)[item.method](done);
   }
+}
 
-  var format = new Format(result, program.simple);
-  switch (program.type) {
-    case 'json':
-      format.toJSON(function (json) {
-        console.log(json);
-      });
-      break;
-    case 'csv':
-      format.toCSV(function (csv) {
-        console.log(csv);
-      });
-      break;
-    case 'html':
-      format.toHTML(function (html) {
-        console.log(html);
-      });
-      break;
-    default:
-      format.toTable(function (table) {
-        console.log(' StyleStats!\n' + table);
+/**
+ * Get report file name derived from input
+ * @returns {String}
+ */
+function getReportName() {
+  if (program.args.length !== 1) {
+    return 'stylestats';
+  }
+  var arg = program.args[0];
+  if (arg === '-') {
+    return 'stdin';
+  }
+  if (/^https?:\/\//.test(arg)) {
+    return url.parse(arg).hostname;
+  }
+  var name = path.basename(arg.replace(/[\/\\]+$/, ''), path.extname(arg));
+  return name.replace(/[^\w\.\-]/g, '_') || 'stylestats';
+}
+
+/**
+ * Show or write reports in specified formats
+ * @param {Object} result
+ * @param {Object} diff null if not compared
+ * @param {Object} registry of custom metrics
+ */
+function showReports(result, diff, registry) {
+  var types = (program.type || 'table').split(',');
+  if (program.output && types.length > 1) {
+    console.error(chalk.red(' [ERROR] --output accepts only one format. Use --output-dir instead.'));
+    process.exitCode = 1;
+    return;
+  }
+  if (!program.outputDir && types.length > 1) {
+    console.error(chalk.red(' [ERROR] Several formats require --output-dir.'));
+    process.exitCode = 1;
+    return;
+  }
+  types.forEach(function (type) {
+    render(type, result, diff, registry, function (report) {
+      var file = program.output;
+      if (!file && program.outputDir) {
+        file = path.join(program.outputDir, getReportName() + (Format.TYPES[type] || Format.TYPES.table).extension);
+      }
+      if (!file) {
+        console.log(report);
+        return;
+      }
+      fs.mkdirSync(path.dirname(path.resolve(file)), {
+        recursive: true
       });
-      break;
+      // colors of table are for terminal
+      fs.writeFileSync(file, chalk.stripColor(report) + '\n');
+      console.error(chalk.green(' [WRITE] ') + file);
+    });
+  });
+}
+
+/**
+ * Report budget to stderr not to break formatted output
+ * @param {Object} budget
+ */
+function showBudget(budget) {
+  if (!budget) {
+    return;
+  }
+  var log = program.type ? console.error : console.log;
+  budget.results.forEach(function (item) {
+    var label = item.passed ? chalk.green(' [PASS] ') : chalk.red(' [FAIL] ');
+    log(label + item.expression + ' (actual: ' + item.actual + ')');
+  });
+  if (!budget.passed) {
+    process.exitCode = 1;
   }
-});
\ No newline at end of file
+}
+
+/**
+ * Get baseline stats from saved JSON or stylesheet
+ * @param {String} baseline
+ * @param {Function} callback
+ */
+function getBaseline(baseline, callback) {
+  if (util.isFile(baseline) && path.extname(baseline) === '.json') {
+    var baselineString = fs.readFileSync(baseline, {
+      encoding: 'utf8'
+    });
+    var parsedBaseline;
+    try {
+      parsedBaseline = JSON.parse(baselineString);
+    } catch (e) {
+      callback(new StyleStats.ConfigError('Baseline is invalid: ' + baseline + ' (' + e.message + ')', {
+        option: 'compare'
+      }));
+      return;
+    }
+    callback(null, parsedBaseline);
+  } else {
+    new StyleStats(baseline, config).parse(callback);
+  }
+}
+
+
+/**
+ * Show trend charts of history file
+ * @param {String} file
+ */
+function showTrend(file) {
+  history.load(file, function (error, entries) {
+    if (error) {
+      console.log(chalk.red(' [ERROR] ' + error.message));
+      process.exitCode = 1;
+      return;
+    }
+    new Format(entries).toTrendHTML(function (html) {
+      console.log(html);
+    });
+  });
+}
+
+/**
+ * Append stats to history file
+ * @param {Object} result
+ */
+function saveHistory(result) {
+  var file = program.saveHistory;
+  history.save(file, result, program.label, function (error) {
+    if (error) {
+      console.error(chalk.red(' [ERROR] ' + error.message));
+      process.exitCode = 1;
+    }
+  });
+}
+
+
+/**
+ * Parse stylesheets and show stats
+ */
+function parseStats() {
+  // `-` reads stylesheet from standard input
+  var args = program.args.map(function (arg) {
+    return arg === '-' ? process.stdin : arg;
+  });
+  var stats;
+  try {
+    stats = new StyleStats(args, config);
+  } catch (error) {
+    console.log(chalk.red(' [ERROR] ' + error.message));
+    process.exitCode = 1;
+    return;
+  }
+  stats.parse(function (error, result) {
+    if (error) {
+      console.log(chalk.red(' [ERROR] ' + error.message));
+      process.exitCode = 1;
+      return;
+    }
+
+    if (program.saveHistory) {
+      saveHistory(result);
+    }
+
+    if (program.compare) {
+      getBaseline(program.compare, function (error, baseline) {
+        if (error) {
+          console.log(chalk.red(' [ERROR] ' + error.message));
+          process.exitCode = 1;
+          return;
+        }
+        showReports(result, compare(baseline, result), stats.registry);
+        showBudget(result.budget);
+      });
+    } else {
+      showReports(result, null, stats.registry);
+      showBudget(result.budget);
+    }
+  });
+}
+
+
+if (budgetError) {
+  console.error(chalk.red(' [ERROR] ' + budgetError));
+  process.exitCode = 1;
+} else if (program.trend) {
+  showTrend(program.trend);
+} else {
+  parseStats();
+}
@@ -1,5 +1,100 @@
 var _ = require('underscore');
 var gzipSize = require('gzip-size');
+var specificity = require('./specificity');
+var color = require('./color');
+var typography = require('./typography');
+var util = require('./util');
+
+/**
+ * Add location of node to the list unless it is unknown or already added
+ * @param {Array} locations
+ * @param {Object} node
+ */
+function addLocation(locations, node) {
+  var location = util.getLocation(node);
+  if (location && locations.indexOf(location) === -1) {
+    locations.push(location);
+  }
+}
+
+// vendor prefix such as `-webkit-`
+var VENDOR_PREFIX = /^-(webkit|moz|ms|o|khtml)-/;
+
+// vendor prefixed keywords and functions in value such as `-webkit-gradient(`
+var VENDOR_PREFIXED_VALUE = /(?:^|[\s,(])-(webkit|moz|ms|o|khtml)-[\w\-]+/g;
+
+// vendor prefixed pseudo-classes and pseudo-elements such as `::-moz-selection`
+var VENDOR_PREFIXED_SELECTOR = /::?-(webkit|moz|ms|o|khtml)-[\w\-]+/g;
+
+/**
+ * Get distinct vendors of matches such as `['webkit', 'moz']`
+ * @param {String} string
+ * @param {RegExp} regexp global regexp which captures vendor
+ * @returns {Array}
+ */
+function getVendors(string, regexp) {
+  var vendors = [];
+  var matches;
+  regexp.lastIndex = 0;
+  while ((matches = regexp.exec(string)) !== null) {
+    vendors.push(matches[1]);
+  }
+  return _.uniq(vendors);
+}
+
+/**
+ * Get IE hack of declaration such as `*property`
+ * @param {Object} declaration
+ * @returns {String|null}
+ */
+function getBrowserHack(declaration) {
+  if (declaration.property.charAt(0) === '*') {
+    return '*property';
+  }
+  if (declaration.property.charAt(0) === '_') {
+    return '_property';
+  }
+  if (/\\9\s*(?:\!important)?$/.test(declaration.value)) {
+    return '\\9';
+  }
+  if (/filter$/.test(declaration.property) && /^['"]?progid:/i.test(declaration.value)) {
+    return 'progid:';
+  }
+  return null;
+}
+
+/**
+ * Get at-rule context of rule such as `@media (max-width: 600px)`
+ * @param {Object} rule
+ * @returns {String}
+ */
+function getContext(rule) {
+  var contexts = [];
+  var parent = rule.parent;
+  while (parent && parent.type !== 'stylesheet') {
+    contexts.unshift('@' + parent.type + ' ' + (parent[parent.type] || ''));
+    parent = parent.parent;
+  }
+  return contexts.join(' ');
+}
+
+/**
+ * Value of property is a fallback of the final value of consecutive declarations
+ * if the final one uses newer syntax, that is, the value is vendor prefixed and the final is not,
+ * or the final uses function and the value does not
+ * such as `display: -webkit-box; display: -ms-flexbox; display: flex` or `color: #fff; color: rgba(0, 0, 0, .5)`
+ * @param {String} value
+ * @param {String} finalValue
+ * @returns {Boolean}
+ */
+function isFallback(value, finalValue) {
+  var prefixed = /(^|[\s,(])-(webkit|moz|ms|o)-/;
+  var functional = /[\w\-]\(/;
+  if (prefixed.test(value) && !prefixed.test(finalValue)) {
+    return true;
+  }
+  return !functional.test(value) && functional.test(finalValue);
+}
 
 /**
  * Analyzer class
@@ -9,16 +104,17 @@ var gzipSize = require('gzip-size');
  * @param {String} cssString
  * @param {Number} cssSize
  * @param {Object} options
+ * @param {Array} atRules
  * @constructor
  */
-function Analyzer(rules, selectors, declarations, cssString, cssSize, options) {
+function Analyzer(rules, selectors, declarations, cssString, cssSize, options, atRules) {
 
   // array of rule
-  // referenced in analyzeRules
+  // referenced in analyzeRules, and in analyzeSelectors with position of each rule
   this.rules = rules;
 
   // array of css selector
-  // referenced in analyzeSelectors
+  // referenced in analyzeVendorPrefixes
   this.selectors = selectors;
 
   // array of css declaration
@@ -33,6 +129,10 @@ function Analyzer(rules, selectors, declarations, cssString, cssSize, options) {
 
   // result options
   this.options = options;
+
+  // array of at-rule
+  // referenced in analyzeAtRules
+  this.atRules = atRules || [];
 }
 
 /**
@@ -53,7 +153,8 @@ Analyzer.prototype.analyzeRules = function () {
     if (Array.isArray(rule.declarations)) {
       result.cssDeclarations.push({
         selector: rule.selectors,
-        count: rule.declarations.length
+        count: rule.declarations.length,
+        location: util.getLocation(rule)
       });
     }
   });
@@ -73,7 +174,12 @@ Analyzer.prototype.analyzeRules = function () {
  *   {Number} universalSelectors,
  *   {Number} unqualifiedAttributeSelectors,
  *   {Number} javascriptSpecificSelectors,
- *   {Array} identifiers
+ *   {Array} identifiers,
+ *   {Object} highestSpecificity,
+ *   {Array} averageSpecificity,
+ *   {Array} medianSpecificity,
+ *   {Array} specificityHistogram,
+ *   {Array} specificityGraph
  * }
  */
 Analyzer.prototype.analyzeSelectors = function () {
@@ -84,14 +190,36 @@ Analyzer.prototype.analyzeSelectors = function () {
     universalSelectors: 0,
     unqualifiedAttributeSelectors: 0,
     javascriptSpecificSelectors: 0,
-    identifiers: []
+    identifiers: [],
+    highestSpecificity: null,
+    averageSpecificity: [0, 0, 0],
+    medianSpecificity: null,
+    specificityHistogram: [],
+    specificityGraph: []
   };
 
+  // specificity of each selector in source order
+  var specificities = [];
+
+  // each selector carries location of the rule which defines it
+  var entries = [];
+  this.rules.forEach(function (rule) {
+    var location = util.getLocation(rule);
+    rule.selectors.forEach(function (selector) {
+      entries.push({
+        selector: selector,
+        location: location
+      });
+    });
+  });
+
   // specified JavaScript hook selector
   var regexp = new RegExp(this.options.javascriptSpecificSelectors, 'g');
 
   // analyze selectors
-  this.selectors.forEach(function (selector) {
+  entries.forEach(function (entry) {
+
+    var selector = entry.selector;
 
     // if it contains #
     if (selector.indexOf('#') > -1) {
@@ -119,7 +247,15 @@ Analyzer.prototype.analyzeSelectors = function () {
     var count = trimmedSelector.split(/\s|\>|\+|\~/).length;
     result.identifiers.push({
       selector: selector,
-      count: count
+      count: count,
+      location: entry.location
+    });
+
+    // add specificity for statistics
+    specificities.push({
+      selector: selector,
+      specificity: specificity.calculate(selector),
+      location: entry.location
     });
   });
 
@@ -128,6 +264,48 @@ Analyzer.prototype.analyzeSelectors = function () {
     return b.count - a.count;
   });
 
+  if (specificities.length) {
+
+    // graph of specificity in source order
+    result.specificityGraph = _.pluck(specificities, 'specificity');
+
+    // average of each component
+    specificities.forEach(function (item) {
+      item.specificity.forEach(function (value, index) {
+        result.averageSpecificity[index] += value;
+      });
+    });
+    result.averageSpecificity = result.averageSpecificity.map(function (value) {
+      return Math.round(value / specificities.length * 100) / 100;
+    });
+
+    // sort by specificity
+    var sortedSpecificities = specificities.slice().sort(function decreasingOrder(a, b) {
+      return specificity.compare(b.specificity, a.specificity);
+    });
+    result.highestSpecificity = sortedSpecificities[0];
+    // average of two middle values if the count is even
+    var middle = Math.floor(sortedSpecificities.length / 2);
+    result.medianSpecificity = sortedSpecificities.length % 2 ?
+      sortedSpecificities[middle].specificity :
+      sortedSpecificities[middle - 1].specificity.map(function (value, index) {
+        return (value + sortedSpecificities[middle].specificity[index]) / 2;
+      });
+
+    // count selectors by specificity
+    var histogram = _.countBy(sortedSpecificities, function (item) {
+      return item.specificity.join(',');
+    });
+    result.specificityHistogram = _.uniq(_.map(sortedSpecificities, function (item) {
+      return item.specificity.join(',');
+    }), true).map(function (key) {
+      return {
+        specificity: key,
+        count: histogram[key]
+      };
+    });
+  }
+
   return result;
 };
 
@@ -137,9 +315,9 @@ Analyzer.prototype.analyzeSelectors = function () {
  *   {String} dataUriSize,
  *   {Number} importantKeywords,
  *   {Number} floatProperties,
- *   {Array} uniqueFontSize,
- *   {Array} uniqueFontFamily
  *   {Array} uniqueColor,
+ *   {Array} colorUsage,
+ *   {Array} nearDuplicateColors,
  *   {Object} properties
  * }
  */
@@ -150,12 +328,19 @@ Analyzer.prototype.analyzeDeclarations = function () {
     dataUriSize: '',
     importantKeywords: 0,
     floatProperties: 0,
-    uniqueFontSize: [],
-    uniqueFontFamily: [],
     uniqueColor: [],
+    colorUsage: [],
+    nearDuplicateColors: [],
     properties: {}
   };
 
+  // all of colors in canonical form
+  var colors = [];
+
+  // locations of declarations which use each color and property
+  var colorLocations = {};
+  var propertyLocations = {};
+
   // analyze declarations
   this.declarations.forEach(function (declaration) {
 
@@ -174,59 +359,65 @@ Analyzer.prototype.analyzeDeclarations = function () {
       result.floatProperties += 1;
     }
 
-    // if it contains font-family
-    if (declaration.property.indexOf('font-family') > -1) {
-      result.uniqueFontFamily.push(declaration.value.replace(/(\!important)/g, '').trim());
-    }
-
-    // if it contains font-size
-    if (declaration.property.indexOf('font-size') > -1) {
-      result.uniqueFontSize.push(declaration.value.replace(/\!important/, '').trim());
-    }
-
     // if it contains colors
-    if (declaration.property.match(/^color$/)) {
-      var color = declaration.value.replace(/\!important/, '');
-      color = color.toUpperCase().trim();
-      result.uniqueColor.push(color);
-    }
+    color.extract(declaration).forEach(function (value) {
+      colors.push(value);
+      colorLocations[value] = colorLocations[value] || [];
+      addLocation(colorLocations[value], declaration);
+    });
 
     // property statistics
     if (result.properties[declaration.property]) {
       result.properties[declaration.property] += 1;
     } else {
       result.properties[declaration.property] = 1;
+      propertyLocations[declaration.property] = [];
     }
+    addLocation(propertyLocations[declaration.property], declaration);
   });
 
   // Return byte size.
   result.dataUriSize = Buffer.byteLength(result.dataUriSize, 'utf8');
 
-  // Sort `font-family` property.
-  result.uniqueFontFamily = _.sortBy(_.uniq(result.uniqueFontFamily));
+  // Sort colors.
+  result.uniqueColor = _.sortBy(_.uniq(colors));
 
-  // Sort `font-size` property.
-  result.uniqueFontSize = _.sortBy(_.uniq(result.uniqueFontSize).slice(), function (item) {
-    return item.replace(/[^0-9\.]/g, '') - 0;
+  // Count usage of each color.
+  var colorCount = _.countBy(colors);
+  result.colorUsage = _.sortBy(result.uniqueColor.map(function (value) {
+    return {
+      color: value,
+      count: colorCount[value],
+      locations: colorLocations[value]
+    };
+  }), function (item) {
+    return -item.count;
   });
 
-  // Sort `color` property.
-  var trimmedColors = _.without(result.uniqueColor, 'TRANSPARENT', 'INHERIT');
-  var formattedColors = trimmedColors.map(function (color) {
-    var formattedColor = color;
-    if (/^#([0-9A-F]){3}$/.test(formattedColor)) {
-      formattedColor = color.replace(/^#(\w)(\w)(\w)$/, '#$1$1$2$2$3$3');
-    }
-    return formattedColor;
+  // Pairs of perceptually similar colors with same alpha.
+  var threshold = this.options.nearDuplicateColors;
+  result.uniqueColor.forEach(function (value, index) {
+    result.uniqueColor.slice(index + 1).forEach(function (otherValue) {
+      if (color.parse(value).a !== color.parse(otherValue).a) {
+        return;
+      }
+      var difference = color.deltaE(value, otherValue);
+      if (difference <= threshold) {
+        result.nearDuplicateColors.push({
+          colors: [value, otherValue],
+          deltaE: Math.round(difference * 100) / 100
+        });
+      }
+    });
   });
-  result.uniqueColor = _.sortBy(_.uniq(formattedColors));
 
   // Sort properties count.
   var propertiesCount = [];
   Object.keys(result.properties).forEach(function (key) {
     propertiesCount.push({
       property: key,
-      count: result.properties[key]
+      count: result.properties[key],
+      locations: propertyLocations[key]
     });
   });
 
@@ -238,6 +429,484 @@ Analyzer.prototype.analyzeDeclarations = function () {
   return result;
 };
 
+/**
+ * Analyze typography including `font` shorthand
+ * @returns {
+ *   {Array} uniqueFontSize,
+ *   {Array} uniqueFontFamily,
+ *   {Array} fontSizeUnits,
+ *   {Array} fontSizeScale,
+ *   {Array} uniqueLineHeight,
+ *   {Array} uniqueFontWeight,
+ *   {Array} uniqueLetterSpacing
+ * }
+ */
+Analyzer.prototype.analyzeTypography = function () {
+
+  // object to return
+  var result = {
+    uniqueFontSize: [],
+    uniqueFontFamily: [],
+    fontSizeUnits: [],
+    fontSizeScale: [],
+    uniqueLineHeight: [],
+    uniqueFontWeight: [],
+    uniqueLetterSpacing: []
+  };
+
+  // analyze declarations
+  this.declarations.forEach(function (declaration) {
+
+    var value = declaration.value.replace(/\!important/, '').trim();
+
+    // if it is font shorthand
+    if (declaration.property === 'font') {
+      var font = typography.parseFont(value);
+      if (font) {
+        result.uniqueFontSize.push(font.fontSize);
+        result.uniqueFontFamily.push(font.fontFamily);
+        if (font.lineHeight) {
+          result.uniqueLineHeight.push(font.lineHeight);
+        }
+        if (font.fontWeight) {
+          result.uniqueFontWeight.push(typography.normalizeFontWeight(font.fontWeight));
+        }
+      }
+    }
+
+    // if it contains font-family
+    if (declaration.property.indexOf('font-family') > -1) {
+      result.uniqueFontFamily.push(value);
+    }
+
+    // if it contains font-size
+    if (declaration.property.indexOf('font-size') > -1) {
+      result.uniqueFontSize.push(value);
+    }
+
+    // if it is line-height
+    if (declaration.property === 'line-height') {
+      result.uniqueLineHeight.push(value);
+    }
+
+    // if it is font-weight
+    if (declaration.property === 'font-weight') {
+      result.uniqueFontWeight.push(typography.normalizeFontWeight(value));
+    }
+
+    // if it is letter-spacing
+    if (declaration.property === 'letter-spacing') {
+      result.uniqueLetterSpacing.push(value);
+    }
+  });
+
+  // Sort `font-family` property.
+  result.uniqueFontFamily = _.sortBy(_.uniq(result.uniqueFontFamily));
+
+  // Sort `font-size` property by px, and sizes not to be converted come last.
+  var rootFontSize = this.options.rootFontSize || 16;
+  result.uniqueFontSize = _.sortBy(_.uniq(result.uniqueFontSize), function (item) {
+    var px = typography.toPx(item, rootFontSize);
+    return px === null ? Infinity : px;
+  });
+
+  // Group `font-size` property by unit.
+  var units = _.groupBy(result.uniqueFontSize, typography.getUnit);
+  result.fontSizeUnits = _.sortBy(Object.keys(units).map(function (unit) {
+    return {
+      unit: unit,
+      count: units[unit].length,
+      values: units[unit]
+    };
+  }), function (item) {
+    return -item.count;
+  });
+
+  // Scale of `font-size` property in px.
+  if (this.options.rootFontSize) {
+    result.fontSizeScale = result.uniqueFontSize.map(function (item) {
+      return {
+        fontSize: item,
+        px: typography.toPx(item, rootFontSize)
+      };
+    }).filter(function (item) {
+      return item.px !== null;
+    });
+  }
+
+  // Sort other properties.
+  result.uniqueLineHeight = _.sortBy(_.uniq(result.uniqueLineHeight), parseFloat);
+  result.uniqueFontWeight = _.sortBy(_.uniq(result.uniqueFontWeight));
+  result.uniqueLetterSpacing = _.sortBy(_.uniq(result.uniqueLetterSpacing), parseFloat);
+
+  return result;
+};
+
+/**
+ * Analyze vendor prefixes and browser hacks
+ * @returns {
+ *   {Number} prefixedProperties,
+ *   {Number} prefixedValues,
+ *   {Number} prefixedSelectors,
+ *   {Array} vendorPrefixes,
+ *   {Number} browserHacks,
+ *   {Array} browserHackTypes
+ * }
+ */
+Analyzer.prototype.analyzeVendorPrefixes = function () {
+
+  // object to return
+  var result = {
+    prefixedProperties: 0,
+    prefixedValues: 0,
+    prefixedSelectors: 0,
+    vendorPrefixes: [],
+    browserHacks: 0,
+    browserHackTypes: []
+  };
+
+  // usage of each vendor
+  var vendors = {};
+  function count(vendor, key) {
+    vendors[vendor] = vendors[vendor] || {
+      vendor: '-' + vendor + '-',
+      properties: 0,
+      values: 0,
+      selectors: 0
+    };
+    vendors[vendor][key] += 1;
+  }
+
+  // usage of each hack
+  var hacks = {};
+
+  // analyze selectors
+  this.selectors.forEach(function (selector) {
+    var selectorVendors = getVendors(selector, VENDOR_PREFIXED_SELECTOR);
+    if (selectorVendors.length !== 0) {
+      result.prefixedSelectors += 1;
+    }
+    selectorVendors.forEach(function (vendor) {
+      count(vendor, 'selectors');
+    });
+  });
+
+  // analyze declarations
+  this.declarations.forEach(function (declaration) {
+    var matches = declaration.property.match(VENDOR_PREFIX);
+    if (matches) {
+      result.prefixedProperties += 1;
+      count(matches[1], 'properties');
+    }
+    var valueVendors = getVendors(declaration.value, VENDOR_PREFIXED_VALUE);
+    if (valueVendors.length !== 0) {
+      result.prefixedValues += 1;
+    }
+    valueVendors.forEach(function (vendor) {
+      count(vendor, 'values');
+    });
+    var hack = getBrowserHack(declaration);
+    if (hack) {
+      result.browserHacks += 1;
+      hacks[hack] = (hacks[hack] || 0) + 1;
+    }
+  });
+
+  // Sort by usage.
+  result.vendorPrefixes = _.sortBy(_.values(vendors), function (item) {
+    return -(item.properties + item.values + item.selectors);
+  });
+  result.browserHackTypes = _.sortBy(Object.keys(hacks).map(function (hack) {
+    return {
+      hack: hack,
+      count: hacks[hack]
+    };
+  }), function (item) {
+    return -item.count;
+  });
+
+  return result;
+};
+
+/**
+ * Analyze duplicates
+ * @returns {
+ *   {Array} duplicateSelectors,
+ *   {Array} duplicateDeclarationBlocks,
+ *   {Array} duplicateProperties
+ * }
+ */
+Analyzer.prototype.analyzeDuplicates = function () {
+
+  // object to return
+  var result = {
+    duplicateSelectors: [],
+    duplicateDeclarationBlocks: [],
+    duplicateProperties: []
+  };
+
+  var selectorRules = {};
+  var blockRules = {};
+
+  // analyze rules
+  this.rules.forEach(function (rule) {
+
+    var context = getContext(rule);
+    var location = util.getLocation(rule);
+    var declarations = rule.declarations.filter(function (declaration) {
+      return declaration.type === 'declaration';
+    });
+
+    // rules of same selector in same context
+    rule.selectors.forEach(function (selector) {
+      var key = context + '{' + selector;
+      if (!selectorRules[key]) {
+        selectorRules[key] = {
+          selector: selector,
+          locations: []
+        };
+      }
+      selectorRules[key].locations.push(location);
+    });
+
+    // rules of same declaration block in same context
+    if (declarations.length) {
+      var block = declarations.map(function (declaration) {
+        return declaration.property + ': ' + declaration.value;
+      }).sort().join('; ');
+      var key = context + '{' + block;
+      if (!blockRules[key]) {
+        blockRules[key] = {
+          declarations: block,
+          selectors: [],
+          locations: []
+        };
+      }
+      blockRules[key].selectors.push(rule.selectors.join(', '));
+      blockRules[key].locations.push(location);
+    }
+
+    // runs of consecutive declarations of same property
+    var runs = [];
+    declarations.forEach(function (declaration, index) {
+      var previous = declarations[index - 1];
+      if (previous && previous.property === declaration.property) {
+        _.last(runs).push(declaration);
+      } else {
+        runs.push([declaration]);
+      }
+    });
+
+    // same property declared twice in the rule
+    // except fallback chain whose values before the final one are fallbacks of it
+    var properties = {};
+    runs.forEach(function (run) {
+      var finalValue = _.last(run).value;
+      run.forEach(function (declaration, index) {
+        var isDuplicate = index === 0 ?
+          _.has(properties, declaration.property) :
+          !isFallback(run[index - 1].value, finalValue);
+        if (isDuplicate) {
+          result.duplicateProperties.push({
+            selector: rule.selectors.join(', '),
+            property: declaration.property,
+            location: util.getLocation(declaration)
+          });
+        }
+      });
+      properties[run[0].property] = true;
+    });
+  });
+
+  result.duplicateSelectors = _.values(selectorRules).filter(function (item) {
+    return item.locations.length > 1;
+  }).map(function (item) {
+    return {
+      selector: item.selector,
+      count: item.locations.length,
+      locations: item.locations
+    };
+  });
+
+  result.duplicateDeclarationBlocks = _.values(blockRules).filter(function (item) {
+    return _.uniq(item.selectors).length > 1;
+  }).map(function (item) {
+    return {
+      declarations: item.declarations,
+      selectors: _.uniq(item.selectors),
+      count: item.locations.length,
+      locations: item.locations
+    };
+  });
+
+  // sort by duplicate count
+  [result.duplicateSelectors, result.duplicateDeclarationBlocks].forEach(function (duplicates) {
+    duplicates.sort(function decreasingOrder(a, b) {
+      return b.count - a.count;
+    });
+  });
+
+  return result;
+};
+
+/**
+ * Analyze at-rules
+ * @returns {
+ *   {Number} fontFaceRules,
+ *   {Array} fontFaceFamilies,
+ *   {Number} keyframesRules,
+ *   {Array} keyframesNames,
+ *   {Array} unusedKeyframes,
+ *   {Number} importRules,
+ *   {Number} supportsRules,
+ *   {Boolean} hasPageRule,
+ *   {Boolean} hasCharsetRule
+ * }
+ */
+Analyzer.prototype.analyzeAtRules = function () {
+
+  // object to return
+  var result = {
+    fontFaceRules: 0,
+    fontFaceFamilies: [],
+    keyframesRules: 0,
+    keyframesNames: [],
+    unusedKeyframes: [],
+    importRules: 0,
+    supportsRules: 0,
+    hasPageRule: false,
+    hasCharsetRule: false
+  };
+
+  // analyze at-rules
+  this.atRules.forEach(function (atRule) {
+    switch (atRule.type) {
+      case 'font-face':
+        result.fontFaceRules += 1;
+        atRule.declarations.forEach(function (declaration) {
+          if (declaration.property === 'font-family') {
+            result.fontFaceFamilies.push(declaration.value.replace(/['"]/g, '').trim());
+          }
+        });
+        break;
+      case 'keyframes':
+        result.keyframesRules += 1;
+        result.keyframesNames.push(atRule.name);
+        break;
+      case 'import':
+        result.importRules += 1;
+        break;
+      case 'supports':
+        result.supportsRules += 1;
+        break;
+      case 'page':
+        result.hasPageRule = true;
+        break;
+      case 'charset':
+        result.hasCharsetRule = true;
+        break;
+    }
+  });
+
+  // names of keyframes referenced in animation
+  var animationNames = [];
+  this.declarations.forEach(function (declaration) {
+    if (/^(-\w+-)?animation(-name)?$/.test(declaration.property)) {
+      Array.prototype.push.apply(animationNames, declaration.value.split(/[\s,]+/));
+    }
+  });
+
+  result.fontFaceFamilies = _.sortBy(_.uniq(result.fontFaceFamilies));
+  result.keyframesNames = _.sortBy(_.uniq(result.keyframesNames));
+  result.unusedKeyframes = _.difference(result.keyframesNames, animationNames);
+
+  return result;
+};
+
+/**
+ * Analyze media queries
+ * @returns {
+ *   {Number} mediaQueries,
+ *   {Array} uniqueMediaQueries,
+ *   {Array} breakpoints,
+ *   {Array} nearDuplicateBreakpoints
+ * }
+ */
+Analyzer.prototype.analyzeMediaQueries = function () {
+
+  // object to return
+  var result = {
+    mediaQueries: 0,
+    uniqueMediaQueries: [],
+    breakpoints: [],
+    nearDuplicateBreakpoints: []
+  };
+
+  var mediaQueries = {};
+  var breakpoints = [];
+
+  // analyze media at-rules
+  this.atRules.forEach(function (atRule) {
+
+    if (atRule.type !== 'media') {
+      return;
+    }
+    result.mediaQueries += 1;
+
+    // count rules and declarations inside
+    var media = atRule.media.replace(/\s+/g, ' ').replace(/\s*([:,])\s*/g, '$1 ').trim().toLowerCase();
+    if (!mediaQueries[media]) {
+      mediaQueries[media] = {
+        media: media,
+        rules: 0,
+        declarations: 0
+      };
+    }
+    (function walk(rules) {
+      rules.forEach(function (rule) {
+        if (rule.type === 'rule') {
+          mediaQueries[media].rules += 1;
+          mediaQueries[media].declarations += rule.declarations.filter(function (declaration) {
+            return declaration.type === 'declaration';
+          }).length;
+        } else if (Array.isArray(rule.rules)) {
+          walk(rule.rules);
+        }
+      });
+    })(atRule.rules);
+
+    // width of min-width, max-width and range syntax
+    // em and rem in media query are relative to initial font size, 16px
+    var regexp = /width\s*(?::|[<>]=?)\s*([\d\.]+)(px|r?em)|([\d\.]+)(px|r?em)\s*[<>]=?\s*width/g;
+    var matches;
+    while ((matches = regexp.exec(media)) !== null) {
+      var value = parseFloat(matches[1] || matches[3]);
+      var unit = matches[2] || matches[4];
+      breakpoints.push(unit === 'px' ? value : value * 16);
+    }
+  });
+
+  // sort by rule count
+  result.uniqueMediaQueries = _.values(mediaQueries).sort(function decreasingOrder(a, b) {
+    return b.rules - a.rules;
+  });
+
+  // breakpoints which differ slightly such as 767px and 768px
+  breakpoints = _.sortBy(_.uniq(breakpoints));
+  var threshold = this.options.nearDuplicateBreakpointsThreshold;
+  breakpoints.forEach(function (breakpoint, index) {
+    var next = breakpoints[index + 1];
+    if (next !== undefined && next - breakpoint <= threshold) {
+      result.nearDuplicateBreakpoints.push(breakpoint + 'px, ' + next + 'px');
+    }
+  });
+  result.breakpoints = breakpoints.map(function (breakpoint) {
+    return breakpoint + 'px';
+  });
+
+  return result;
+};
+
 /**
  * Analyze css from rules, selectors, declarations
  * @returns {
@@ -251,23 +920,68 @@ Analyzer.prototype.analyzeDeclarations = function () {
  *   {Float}  simplicity,
  *   {Number} mostIdentifier,
  *   {String} mostIdentifierSelector,
+ *   {String} mostIdentifierLocation,
  *   {Number} lowestCohesion,
  *   {Number} lowestCohesionSelector,
+ *   {String} lowestCohesionLocation,
+ *   {String} highestSpecificity,
+ *   {String} highestSpecificitySelector,
+ *   {String} highestSpecificityLocation,
+ *   {String} averageSpecificity,
+ *   {String} medianSpecificity,
+ *   {Array}  specificityHistogram,
+ *   {Array}  specificityGraph,
  *   {Number} totalUniqueFontSizes,
  *   {String} uniqueFontSize,
+ *   {Array}  fontSizeUnits,
+ *   {Array}  fontSizeScale,
  *   {Number} totalUniqueFontFamilies,
  *   {String} uniqueFontSize,
  *   {Number} totalUniqueColors,
  *   {String} uniqueColor,
+ *   {Array}  colorUsage,
+ *   {Array}  nearDuplicateColors,
  *   {Number} totalUniqueFontFamilies
  *   {String} uniqueFontFamily,
+ *   {Number} totalUniqueLineHeights,
+ *   {Array}  uniqueLineHeight,
+ *   {Number} totalUniqueFontWeights,
+ *   {Array}  uniqueFontWeight,
+ *   {Number} totalUniqueLetterSpacings,
+ *   {Array}  uniqueLetterSpacing,
  *   {Number} idSelectors,
  *   {Number} universalSelectors,
  *   {Number} unqualifiedAttributeSelectors,
  *   {Number} javascriptSpecificSelectors,
  *   {Number} importantKeywords,
  *   {Number} floatProperties,
- *   {Number} propertiesCount
+ *   {Number} prefixedProperties,
+ *   {Number} prefixedValues,
+ *   {Number} prefixedSelectors,
+ *   {Array}  vendorPrefixes,
+ *   {Number} browserHacks,
+ *   {Array}  browserHackTypes,
+ *   {Number} duplicateSelectors,
+ *   {Array}  topDuplicateSelectors,
+ *   {Number} duplicateDeclarationBlocks,
+ *   {Array}  topDuplicateDeclarationBlocks,
+ *   {Number} duplicateProperties,
+ *   {Array}  topDuplicateProperties,
+ *   {Number} fontFaceRules,
+ *   {Array}  fontFaceFamilies,
+ *   {Number} keyframesRules,
+ *   {Array}  keyframesNames,
+ *   {Array}  unusedKeyframes,
+ *   {Number} importRules,
+ *   {Number} supportsRules,
+ *   {Boolean} hasPageRule,
+ *   {Boolean} hasCharsetRule,
+ *   {Number} propertiesCount,
+ *   {Number} mediaQueries,
+ *   {Number} totalUniqueMediaQueries,
+ *   {Array}  uniqueMediaQueries,
+ *   {Array}  breakpoints,
+ *   {Array}  nearDuplicateBreakpoints
  * }
  */
 Analyzer.prototype.analyze = function () {
@@ -276,6 +990,11 @@ Analyzer.prototype.analyze = function () {
   var ruleAnalysis = this.analyzeRules();
   var selectorAnalysis = this.analyzeSelectors();
   var declarationAnalysis = this.analyzeDeclarations();
+  var typographyAnalysis = this.analyzeTypography();
+  var vendorPrefixAnalysis = this.analyzeVendorPrefixes();
+  var duplicateAnalysis = this.analyzeDuplicates();
+  var atRuleAnalysis = this.analyzeAtRules();
+  var mediaQueryAnalysis = this.analyzeMediaQueries();
 
   var analysis = {};
   if (this.options.size) {
@@ -296,8 +1015,9 @@ Analyzer.prototype.analyze = function () {
   if (this.options.selectors) {
     analysis.selectors = this.selectors.length;
   }
+  // pages of inline styles only have no selector
   if (this.options.rules && this.options.selectors && this.options.simplicity) {
-    analysis.simplicity = analysis.rules / analysis.selectors;
+    analysis.simplicity = analysis.selectors ? analysis.rules / analysis.selectors : 0;
   }
   // Most Identifier
   var mostIdentifier = selectorAnalysis.identifiers.shift();
@@ -307,6 +1027,9 @@ Analyzer.prototype.analyze = function () {
   if (mostIdentifier && this.options.mostIdentifierSelector) {
     analysis.mostIdentifierSelector = mostIdentifier.selector;
   }
+  if (mostIdentifier && this.options.mostIdentifierLocation) {
+    analysis.mostIdentifierLocation = mostIdentifier.location;
+  }
   var lowestDefinition = ruleAnalysis.cssDeclarations.shift();
   if (lowestDefinition && this.options.lowestCohesion) {
     analysis.lowestCohesion = lowestDefinition.count;
@@ -314,17 +1037,66 @@ Analyzer.prototype.analyze = function () {
   if (lowestDefinition && this.options.lowestCohesionSelector) {
     analysis.lowestCohesionSelector = lowestDefinition.selector;
   }
+  if (lowestDefinition && this.options.lowestCohesionLocation) {
+    analysis.lowestCohesionLocation = lowestDefinition.location;
+  }
+  var highestSpecificity = selectorAnalysis.highestSpecificity;
+  if (highestSpecificity && this.options.highestSpecificity) {
+    analysis.highestSpecificity = highestSpecificity.specificity.join(',');
+  }
+  if (highestSpecificity && this.options.highestSpecificitySelector) {
+    analysis.highestSpecificitySelector = highestSpecificity.selector;
+  }
+  if (highestSpecificity && this.options.highestSpecificityLocation) {
+    analysis.highestSpecificityLocation = highestSpecificity.location;
+  }
+  if (highestSpecificity && this.options.averageSpecificity) {
+    analysis.averageSpecificity = selectorAnalysis.averageSpecificity.join(',');
+  }
+  if (highestSpecificity && this.options.medianSpecificity) {
+    analysis.medianSpecificity = selectorAnalysis.medianSpecificity.join(',');
+  }
+  if (this.options.specificityHistogram) {
+    analysis.specificityHistogram = selectorAnalysis.specificityHistogram;
+  }
+  if (this.options.specificityGraph) {
+    analysis.specificityGraph = selectorAnalysis.specificityGraph;
+  }
   if (this.options.totalUniqueFontSizes) {
-    analysis.totalUniqueFontSizes = declarationAnalysis.uniqueFontSize.length;
+    analysis.totalUniqueFontSizes = typographyAnalysis.uniqueFontSize.length;
   }
   if (this.options.uniqueFontSize) {
-    analysis.uniqueFontSize = declarationAnalysis.uniqueFontSize;
+    analysis.uniqueFontSize = typographyAnalysis.uniqueFontSize;
+  }
+  if (this.options.fontSizeUnits) {
+    analysis.fontSizeUnits = typographyAnalysis.fontSizeUnits;
+  }
+  if (this.options.fontSizeScale && this.options.rootFontSize) {
+    analysis.fontSizeScale = typographyAnalysis.fontSizeScale;
   }
   if (this.options.totalUniqueFontFamilies) {
-    analysis.totalUniqueFontFamilies = declarationAnalysis.uniqueFontFamily.length;
+    analysis.totalUniqueFontFamilies = typographyAnalysis.uniqueFontFamily.length;
   }
   if (this.options.uniqueFontFamily) {
-    analysis.uniqueFontFamily = declarationAnalysis.uniqueFontFamily;
+    analysis.uniqueFontFamily = typographyAnalysis.uniqueFontFamily;
+  }
+  if (this.options.totalUniqueLineHeights) {
+    analysis.totalUniqueLineHeights = typographyAnalysis.uniqueLineHeight.length;
+  }
+  if (this.options.uniqueLineHeight) {
+    analysis.uniqueLineHeight = typographyAnalysis.uniqueLineHeight;
+  }
+  if (this.options.totalUniqueFontWeights) {
+    analysis.totalUniqueFontWeights = typographyAnalysis.uniqueFontWeight.length;
+  }
+  if (this.options.uniqueFontWeight) {
+    analysis.uniqueFontWeight = typographyAnalysis.uniqueFontWeight;
+  }
+  if (this.options.totalUniqueLetterSpacings) {
+    analysis.totalUniqueLetterSpacings = typographyAnalysis.uniqueLetterSpacing.length;
+  }
+  if (this.options.uniqueLetterSpacing) {
+    analysis.uniqueLetterSpacing = typographyAnalysis.uniqueLetterSpacing;
   }
   if (this.options.totalUniqueColors) {
     analysis.totalUniqueColors = declarationAnalysis.uniqueColor.length;
@@ -332,6 +1104,12 @@ Analyzer.prototype.analyze = function () {
   if (this.options.uniqueColor) {
     analysis.uniqueColor = declarationAnalysis.uniqueColor;
   }
+  if (this.options.colorUsage) {
+    analysis.colorUsage = declarationAnalysis.colorUsage;
+  }
+  if (this.options.nearDuplicateColors) {
+    analysis.nearDuplicateColors = declarationAnalysis.nearDuplicateColors;
+  }
   if (this.options.idSelectors) {
     analysis.idSelectors = selectorAnalysis.idSelectors;
   }
@@ -350,9 +1128,87 @@ Analyzer.prototype.analyze = function () {
   if (this.options.floatProperties) {
     analysis.floatProperties = declarationAnalysis.floatProperties;
   }
+  if (this.options.prefixedProperties) {
+    analysis.prefixedProperties = vendorPrefixAnalysis.prefixedProperties;
+  }
+  if (this.options.prefixedValues) {
+    analysis.prefixedValues = vendorPrefixAnalysis.prefixedValues;
+  }
+  if (this.options.prefixedSelectors) {
+    analysis.prefixedSelectors = vendorPrefixAnalysis.prefixedSelectors;
+  }
+  if (this.options.vendorPrefixes) {
+    analysis.vendorPrefixes = vendorPrefixAnalysis.vendorPrefixes;
+  }
+  if (this.options.browserHacks) {
+    analysis.browserHacks = vendorPrefixAnalysis.browserHacks;
+  }
+  if (this.options.browserHackTypes) {
+    analysis.browserHackTypes = vendorPrefixAnalysis.browserHackTypes;
+  }
+  if (this.options.duplicateSelectors) {
+    analysis.duplicateSelectors = duplicateAnalysis.duplicateSelectors.length;
+  }
+  if (this.options.topDuplicateSelectors) {
+    analysis.topDuplicateSelectors = duplicateAnalysis.duplicateSelectors.slice(0, this.options.topDuplicateSelectors);
+  }
+  if (this.options.duplicateDeclarationBlocks) {
+    analysis.duplicateDeclarationBlocks = duplicateAnalysis.duplicateDeclarationBlocks.length;
+  }
+  if (this.options.topDuplicateDeclarationBlocks) {
+    analysis.topDuplicateDeclarationBlocks = duplicateAnalysis.duplicateDeclarationBlocks.slice(0, this.options.topDuplicateDeclarationBlocks);
+  }
+  if (this.options.duplicateProperties) {
+    analysis.duplicateProperties = duplicateAnalysis.duplicateProperties.length;
+  }
+  if (this.options.topDuplicateProperties) {
+    analysis.topDuplicateProperties = duplicateAnalysis.duplicateProperties.slice(0, this.options.topDuplicateProperties);
+  }
+  if (this.options.fontFaceRules) {
+    analysis.fontFaceRules = atRuleAnalysis.fontFaceRules;
+  }
+  if (this.options.fontFaceFamilies) {
+    analysis.fontFaceFamilies = atRuleAnalysis.fontFaceFamilies;
+  }
+  if (this.options.keyframesRules) {
+    analysis.keyframesRules = atRuleAnalysis.keyframesRules;
+  }
+  if (this.options.keyframesNames) {
+    analysis.keyframesNames = atRuleAnalysis.keyframesNames;
+  }
+  if (this.options.unusedKeyframes) {
+    analysis.unusedKeyframes = atRuleAnalysis.unusedKeyframes;
+  }
+  if (this.options.importRules) {
+    analysis.importRules = atRuleAnalysis.importRules;
+  }
+  if (this.options.supportsRules) {
+    analysis.supportsRules = atRuleAnalysis.supportsRules;
+  }
+  if (this.options.hasPageRule) {
+    analysis.hasPageRule = atRuleAnalysis.hasPageRule;
+  }
+  if (this.options.hasCharsetRule) {
+    analysis.hasCharsetRule = atRuleAnalysis.hasCharsetRule;
+  }
   if (this.options.propertiesCount) {
     analysis.propertiesCount = declarationAnalysis.properties.slice(0, this.options.propertiesCount);
   }
+  if (this.options.mediaQueries) {
+    analysis.mediaQueries = mediaQueryAnalysis.mediaQueries;
+  }
+  if (this.options.totalUniqueMediaQueries) {
+    analysis.totalUniqueMediaQueries = mediaQueryAnalysis.uniqueMediaQueries.length;
+  }
+  if (this.options.uniqueMediaQueries) {
+    analysis.uniqueMediaQueries = mediaQueryAnalysis.uniqueMediaQueries;
+  }
+  if (this.options.breakpoints) {
+    analysis.breakpoints = mediaQueryAnalysis.breakpoints;
+  }
+  if (this.options.nearDuplicateBreakpoints) {
+    analysis.nearDuplicateBreakpoints = mediaQueryAnalysis.nearDuplicateBreakpoints;
+  }
   return analysis;
 };
 
@@ -0,0 +1,154 @@
+var _ = require('underscore');
+var errors = require('./errors');
+
+var EXPRESSION = /^\s*([\w\-]+)\s*(<=|>=|==|!=|<|>)\s*(.+?)\s*$/;
+
+var UNITS = {
+  B: 1,
+  KB: 1024,
+  MB: 1024 * 1024
+};
+
+var OPERATORS = {
+  '<': function (actual, expected) {
+    return actual < expected;
+  },
+  '<=': function (actual, expected) {
+    return actual <= expected;
+  },
+  '>': function (actual, expected) {
+    return actual > expected;
+  },
+  '>=': function (actual, expected) {
+    return actual >= expected;
+  },
+  '==': function (actual, expected) {
+    return actual === expected;
+  },
+  '!=': function (actual, expected) {
+    return actual !== expected;
+  }
+};
+
+/**
+ * Parse expected value of budget
+ * `150KB` is parsed into bytes and `50%` into ratio, and quoted value into string.
+ * @param {String|Number} value
+ * @returns {Number|String|null} null if value has unknown unit or is not quoted
+ */
+function parseValue(value) {
+  if (_.isNumber(value)) {
+    return value;
+  }
+  var quoted = String(value).match(/^(['"])(.*)\1$/);
+  if (quoted) {
+    return quoted[2];
+  }
+  var matches = String(value).match(/^(-?\d*\.?\d+)\s*(B|KB|MB|%)?$/i);
+  if (!matches) {
+    return null;
+  }
+  var number = parseFloat(matches[1]);
+  var unit = (matches[2] || '').toUpperCase();
+  if (unit === '%') {
+    return number / 100;
+  } else if (unit) {
+    return number * UNITS[unit];
+  }
+  return number;
+}
+
+/**
+ * Get comparable value of metric
+ * List metrics are compared by their length.
+ * @param {*} value
+ * @returns {Number|String}
+ */
+function getActualValue(value) {
+  if (Array.isArray(value)) {
+    return value.length;
+  }
+  return value;
+}
+
+/**
+ * Budget class
+ * @param {Array|Object} budgets
+ *   Array of expressions such as `size <= 150KB`, or
+ *   object such as `{ "size": "<= 150KB" }`. Value without operator such as `{ "size": 100 }` is max.
+ * @constructor
+ */
+function Budget(budgets) {
+
+  var expressions = [];
+  if (Array.isArray(budgets)) {
+    expressions = budgets;
+  } else if (_.isObject(budgets)) {
+    expressions = Object.keys(budgets).map(function (key) {
+      var value = String(budgets[key]).trim();
+      return key + (/^(<|>|==|!=)/.test(value) ? ' ' : ' <= ') + value;
+    });
+  }
+
+  // array of parsed budget expression
+  this.budgets = expressions.map(function (expression) {
+    var matches = String(expression).match(EXPRESSION);
+    var expected = matches ? parseValue(matches[3]) : null;
+    if (expected === null) {
+      throw new errors.ConfigError('Budget is invalid: ' + expression, {
+        option: 'budget'
+      });
+    }
+    return {
+      expression: expression.trim(),
+      metric: matches[1],
+      operator: matches[2],
+      expected: expected
+    };
+  });
+}
+
+/**
+ * Get metric names referenced in budgets
+ * @returns {Array}
+ */
+Budget.prototype.metrics = function () {
+  return _.uniq(_.pluck(this.budgets, 'metric'));
+};
+
+/**
+ * Evaluate budgets against stats
+ * @param {Object} stats
+ * @returns {
+ *   {Boolean} passed,
+ *   {Array} results
+ * }
+ */
+Budget.prototype.evaluate = function (stats) {
+
+  // object to return
+  var result = {
+    passed: true,
+    results: []
+  };
+
+  this.budgets.forEach(function (budget) {
+    var actual = _.has(stats, budget.metric) ? getActualValue(stats[budget.metric]) : null;
+    var passed = actual !== null && OPERATORS[budget.operator](actual, budget.expected);
+    if (!passed) {
+      result.passed = false;
+    }
+    result.results.push({
+      expression: budget.expression,
+      metric: budget.metric,
+      operator: budget.operator,
+      expected: budget.expected,
+      actual: actual,
+      passed: passed
+    });
+  });
+
+  return result;
+};
+
+module.exports = Budget;
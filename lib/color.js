@@ -0,0 +1,378 @@
+var NAMED_COLORS = {
+  aliceblue: '#F0F8FF',
+  antiquewhite: '#FAEBD7',
+  aqua: '#00FFFF',
+  aquamarine: '#7FFFD4',
+  azure: '#F0FFFF',
+  beige: '#F5F5DC',
+  bisque: '#FFE4C4',
+  black: '#000000',
+  blanchedalmond: '#FFEBCD',
+  blue: '#0000FF',
+  blueviolet: '#8A2BE2',
+  brown: '#A52A2A',
+  burlywood: '#DEB887',
+  cadetblue: '#5F9EA0',
+  chartreuse: '#7FFF00',
+  chocolate: '#D2691E',
+  coral: '#FF7F50',
+  cornflowerblue: '#6495ED',
+  cornsilk: '#FFF8DC',
+  crimson: '#DC143C',
+  cyan: '#00FFFF',
+  darkblue: '#00008B',
+  darkcyan: '#008B8B',
+  darkgoldenrod: '#B8860B',
+  darkgray: '#A9A9A9',
+  darkgreen: '#006400',
+  darkgrey: '#A9A9A9',
+  darkkhaki: '#BDB76B',
+  darkmagenta: '#8B008B',
+  darkolivegreen: '#556B2F',
+  darkorange: '#FF8C00',
+  darkorchid: '#9932CC',
+  darkred: '#8B0000',
+  darksalmon: '#E9967A',
+  darkseagreen: '#8FBC8F',
+  darkslateblue: '#483D8B',
+  darkslategray: '#2F4F4F',
+  darkslategrey: '#2F4F4F',
+  darkturquoise: '#00CED1',
+  darkviolet: '#9400D3',
+  deeppink: '#FF1493',
+  deepskyblue: '#00BFFF',
+  dimgray: '#696969',
+  dimgrey: '#696969',
+  dodgerblue: '#1E90FF',
+  firebrick: '#B22222',
+  floralwhite: '#FFFAF0',
+  forestgreen: '#228B22',
+  fuchsia: '#FF00FF',
+  gainsboro: '#DCDCDC',
+  ghostwhite: '#F8F8FF',
+  gold: '#FFD700',
+  goldenrod: '#DAA520',
+  gray: '#808080',
+  green: '#008000',
+  greenyellow: '#ADFF2F',
+  grey: '#808080',
+  honeydew: '#F0FFF0',
+  hotpink: '#FF69B4',
+  indianred: '#CD5C5C',
+  indigo: '#4B0082',
+  ivory: '#FFFFF0',
+  khaki: '#F0E68C',
+  lavender: '#E6E6FA',
+  lavenderblush: '#FFF0F5',
+  lawngreen: '#7CFC00',
+  lemonchiffon: '#FFFACD',
+  lightblue: '#ADD8E6',
+  lightcoral: '#F08080',
+  lightcyan: '#E0FFFF',
+  lightgoldenrodyellow: '#FAFAD2',
+  lightgray: '#D3D3D3',
+  lightgreen: '#90EE90',
+  lightgrey: '#D3D3D3',
+  lightpink: '#FFB6C1',
+  lightsalmon: '#FFA07A',
+  lightseagreen: '#20B2AA',
+  lightskyblue: '#87CEFA',
+  lightslategray: '#778899',
+  lightslategrey: '#778899',
+  lightsteelblue: '#B0C4DE',
+  lightyellow: '#FFFFE0',
+  lime: '#00FF00',
+  limegreen: '#32CD32',
+  linen: '#FAF0E6',
+  magenta: '#FF00FF',
+  maroon: '#800000',
+  mediumaquamarine: '#66CDAA',
+  mediumblue: '#0000CD',
+  mediumorchid: '#BA55D3',
+  mediumpurple: '#9370DB',
+  mediumseagreen: '#3CB371',
+  mediumslateblue: '#7B68EE',
+  mediumspringgreen: '#00FA9A',
+  mediumturquoise: '#48D1CC',
+  mediumvioletred: '#C71585',
+  midnightblue: '#191970',
+  mintcream: '#F5FFFA',
+  mistyrose: '#FFE4E1',
+  moccasin: '#FFE4B5',
+  navajowhite: '#FFDEAD',
+  navy: '#000080',
+  oldlace: '#FDF5E6',
+  olive: '#808000',
+  olivedrab: '#6B8E23',
+  orange: '#FFA500',
+  orangered: '#FF4500',
+  orchid: '#DA70D6',
+  palegoldenrod: '#EEE8AA',
+  palegreen: '#98FB98',
+  paleturquoise: '#AFEEEE',
+  palevioletred: '#DB7093',
+  papayawhip: '#FFEFD5',
+  peachpuff: '#FFDAB9',
+  peru: '#CD853F',
+  pink: '#FFC0CB',
+  plum: '#DDA0DD',
+  powderblue: '#B0E0E6',
+  purple: '#800080',
+  rebeccapurple: '#663399',
+  red: '#FF0000',
+  rosybrown: '#BC8F8F',
+  royalblue: '#4169E1',
+  saddlebrown: '#8B4513',
+  salmon: '#FA8072',
+  sandybrown: '#F4A460',
+  seagreen: '#2E8B57',
+  seashell: '#FFF5EE',
+  sienna: '#A0522D',
+  silver: '#C0C0C0',
+  skyblue: '#87CEEB',
+  slateblue: '#6A5ACD',
+  slategray: '#708090',
+  slategrey: '#708090',
+  snow: '#FFFAFA',
+  springgreen: '#00FF7F',
+  steelblue: '#4682B4',
+  tan: '#D2B48C',
+  teal: '#008080',
+  thistle: '#D8BFD8',
+  tomato: '#FF6347',
+  turquoise: '#40E0D0',
+  violet: '#EE82EE',
+  wheat: '#F5DEB3',
+  white: '#FFFFFF',
+  whitesmoke: '#F5F5F5',
+  yellow: '#FFFF00',
+  yellowgreen: '#9ACD32'
+};
+
+// properties which may have colors in value, optionally vendor prefixed
+var COLOR_PROPERTY = new RegExp('^(?:-[a-z]+-)?(?:' + [
+  'color',
+  'background(?:-color|-image)?',
+  'border(?:-(?:top|right|bottom|left|block|inline)(?:-(?:start|end))?)?(?:-color)?',
+  'outline(?:-color)?',
+  '(?:box|text)-shadow',
+  'fill',
+  'stroke',
+  'column-rule(?:-color)?',
+  'text-decoration(?:-color)?',
+  'text-emphasis(?:-color)?',
+  '(?:caret|accent|flood|lighting|stop)-color'
+].join('|') + ')$', 'i');
+
+// hex, rgb(), rgba(), hsl(), hsla() and named colors in value
+// named colors are not a part of identifier such as `--brand-red`
+var COLOR_VALUE = new RegExp('#[0-9a-f]{3,8}\\b|(?:rgba?|hsla?)\\([^\\)]*\\)|(?<![\\w-])(?:' + Object.keys(NAMED_COLORS).join('|') + ')(?![\\w-])', 'gi');
+
+// var() whose arguments are custom property names and fallbacks
+var VAR_FUNCTION = /var\([^()]*(?:\([^()]*\)[^()]*)*\)/gi;
+
+/**
+ * Clamp number into range
+ * @param {Number} value
+ * @param {Number} min
+ * @param {Number} max
+ * @returns {Number}
+ */
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+/**
+ * Parse channel of rgb() such as `255` or `100%`
+ * @param {String} value
+ * @returns {Number}
+ */
+function parseRGBChannel(value) {
+  var number = parseFloat(value);
+  if (value.indexOf('%') !== -1) {
+    number = number * 255 / 100;
+  }
+  return clamp(Math.round(number), 0, 255);
+}
+
+/**
+ * Parse alpha such as `.5` or `50%`
+ * @param {String} value
+ * @returns {Number}
+ */
+function parseAlpha(value) {
+  if (value === undefined) {
+    return 1;
+  }
+  var number = parseFloat(value);
+  if (value.indexOf('%') !== -1) {
+    number = number / 100;
+  }
+  return clamp(number, 0, 1);
+}
+
+/**
+ * Convert HSL into RGB
+ * @param {Number} h hue in degree
+ * @param {Number} s saturation in 0-1
+ * @param {Number} l lightness in 0-1
+ * @returns {Array}
+ */
+function hslToRGB(h, s, l) {
+  h = ((h % 360) + 360) % 360 / 360;
+  var q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+  var p = 2 * l - q;
+  return [h + 1 / 3, h, h - 1 / 3].map(function (t) {
+    if (t < 0) {
+      t += 1;
+    }
+    if (t > 1) {
+      t -= 1;
+    }
+    var value = p;
+    if (t < 1 / 6) {
+      value = p + (q - p) * 6 * t;
+    } else if (t < 1 / 2) {
+      value = q;
+    } else if (t < 2 / 3) {
+      value = p + (q - p) * (2 / 3 - t) * 6;
+    }
+    return Math.round(value * 255);
+  });
+}
+
+/**
+ * Parse color into RGBA
+ * @param {String} value such as `red`, `#f00`, `rgb(255, 0, 0)` or `hsl(0, 100%, 50%)`
+ * @returns {Object|null} { r, g, b, a } or null if it is not a color
+ */
+function parse(value) {
+
+  value = value.trim().toLowerCase();
+
+  if (NAMED_COLORS[value]) {
+    value = NAMED_COLORS[value].toLowerCase();
+  }
+
+  var hex = value.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+  if (hex) {
+    var digits = hex[1];
+    if (digits.length <= 4) {
+      digits = digits.replace(/(\w)/g, '$1$1');
+    }
+    return {
+      r: parseInt(digits.slice(0, 2), 16),
+      g: parseInt(digits.slice(2, 4), 16),
+      b: parseInt(digits.slice(4, 6), 16),
+      a: digits.length === 8 ? Math.round(parseInt(digits.slice(6, 8), 16) / 255 * 100) / 100 : 1
+    };
+  }
+
+  var func = value.match(/^(rgba?|hsla?)\(([^\)]*)\)$/);
+  if (!func) {
+    return null;
+  }
+
+  // both of `rgb(255, 0, 0, .5)` and `rgb(255 0 0 / .5)`
+  var args = func[2].trim().split(/\s*[,\/]\s*|\s+/);
+  if (args.length < 3 || args.some(function (arg) {
+    return !/^[\-\d\.]+(%|deg)?$/.test(arg);
+  })) {
+    return null;
+  }
+
+  var rgb;
+  if (func[1].indexOf('rgb') === 0) {
+    rgb = args.slice(0, 3).map(parseRGBChannel);
+  } else {
+    rgb = hslToRGB(parseFloat(args[0]), clamp(parseFloat(args[1]) / 100, 0, 1), clamp(parseFloat(args[2]) / 100, 0, 1));
+  }
+
+  return {
+    r: rgb[0],
+    g: rgb[1],
+    b: rgb[2],
+    a: parseAlpha(args[3])
+  };
+}
+
+/**
+ * Convert RGBA into canonical form
+ * `#RRGGBB`, or `#RRGGBBAA` if it is translucent
+ * @param {Object} color
+ * @returns {String}
+ */
+function toHex(color) {
+  var channels = [color.r, color.g, color.b];
+  if (color.a < 1) {
+    channels.push(Math.round(color.a * 255));
+  }
+  return '#' + channels.map(function (channel) {
+    return (channel < 16 ? '0' : '') + channel.toString(16);
+  }).join('').toUpperCase();
+}
+
+/**
+ * Normalize color into canonical form
+ * @param {String} value
+ * @returns {String|null}
+ */
+function normalize(value) {
+  var color = parse(value);
+  return color ? toHex(color) : null;
+}
+
+/**
+ * Extract colors from declaration
+ * @param {Object} declaration
+ * @returns {Array} colors in canonical form
+ */
+function extract(declaration) {
+  if (!COLOR_PROPERTY.test(declaration.property)) {
+    return [];
+  }
+  var value = declaration.value.replace(/url\([^\)]*\)/g, '').replace(VAR_FUNCTION, '');
+  return (value.match(COLOR_VALUE) || []).map(normalize).filter(function (color) {
+    return color !== null;
+  });
+}
+
+/**
+ * Convert RGB into CIE L*a*b*
+ * @param {Object} color
+ * @returns {Array}
+ */
+function toLab(color) {
+  var linear = [color.r, color.g, color.b].map(function (channel) {
+    channel /= 255;
+    return channel > 0.04045 ? Math.pow((channel + 0.055) / 1.055, 2.4) : channel / 12.92;
+  });
+  var x = (linear[0] * 0.4124 + linear[1] * 0.3576 + linear[2] * 0.1805) / 0.95047;
+  var y = (linear[0] * 0.2126 + linear[1] * 0.7152 + linear[2] * 0.0722) / 1.00000;
+  var z = (linear[0] * 0.0193 + linear[1] * 0.1192 + linear[2] * 0.9505) / 1.08883;
+  var xyz = [x, y, z].map(function (value) {
+    return value > 0.008856 ? Math.pow(value, 1 / 3) : 7.787 * value + 16 / 116;
+  });
+  return [116 * xyz[1] - 16, 500 * (xyz[0] - xyz[1]), 200 * (xyz[1] - xyz[2])];
+}
+
+/**
+ * Get perceptual difference (CIE76 delta E) of colors
+ * @param {String} value
+ * @param {String} otherValue
+ * @returns {Number}
+ */
+function deltaE(value, otherValue) {
+  var lab = toLab(parse(value));
+  var otherLab = toLab(parse(otherValue));
+  return Math.sqrt(lab.reduce(function (sum, channel, index) {
+    return sum + Math.pow(channel - otherLab[index], 2);
+  }, 0));
+}
+
+module.exports = {
+  parse: parse,
+  normalize: normalize,
+  extract: extract,
+  deltaE: deltaE
+};
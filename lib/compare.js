@@ -0,0 +1,143 @@
+var _ = require('underscore');
+
+var KEY_IGNORE = [
+  'published',
+  'paths',
+  'sources',
+  'budget',
+  'mostIdentifierLocation',
+  'lowestCohesionLocation',
+  'highestSpecificityLocation',
+  'specificityHistogram',
+  'specificityGraph',
+  'vendorPrefixes',
+  'browserHackTypes',
+  'topDuplicateSelectors',
+  'topDuplicateDeclarationBlocks',
+  'topDuplicateProperties',
+  'uniqueMediaQueries',
+  'fontSizeUnits',
+  'fontSizeScale',
+  'colorUsage',
+  'nearDuplicateColors',
+  'unusedSelectors',
+  'pageStats',
+  'importGraph',
+  'requestErrors',
+  'inlineProperties'
+];
+
+var KEY_LIST = [
+  'uniqueFontSize',
+  'uniqueFontFamily',
+  'uniqueLineHeight',
+  'uniqueFontWeight',
+  'uniqueLetterSpacing',
+  'uniqueColor',
+  'fontFaceFamilies',
+  'keyframesNames',
+  'unusedKeyframes',
+  'breakpoints',
+  'nearDuplicateBreakpoints'
+];
+
+/**
+ * Compare numeral metric
+ * @param {Number} before
+ * @param {Number} after
+ * @returns {Object}
+ */
+function compareNumber(before, after) {
+  var delta = after - before;
+  return {
+    before: before,
+    after: after,
+    delta: delta,
+    percent: before === 0 ? null : delta / before
+  };
+}
+
+/**
+ * Compare list metric such as `uniqueColor`
+ * @param {Array} before
+ * @param {Array} after
+ * @returns {Object}
+ */
+function compareList(before, after) {
+  return {
+    before: before.length,
+    after: after.length,
+    delta: after.length - before.length,
+    added: _.difference(after, before),
+    removed: _.difference(before, after)
+  };
+}
+
+/**
+ * Compare `propertiesCount` metric
+ * @param {Array} before
+ * @param {Array} after
+ * @returns {Object}
+ */
+function compareProperties(before, after) {
+
+  var beforeCount = {};
+  before.forEach(function (item) {
+    beforeCount[item.property] = item.count;
+  });
+  var afterCount = {};
+  after.forEach(function (item) {
+    afterCount[item.property] = item.count;
+  });
+
+  var beforeProperties = _.pluck(before, 'property');
+  var afterProperties = _.pluck(after, 'property');
+
+  return {
+    added: _.difference(afterProperties, beforeProperties),
+    removed: _.difference(beforeProperties, afterProperties),
+    changed: _.intersection(afterProperties, beforeProperties).filter(function (property) {
+      return beforeCount[property] !== afterCount[property];
+    }).map(function (property) {
+      return _.extend({
+        property: property
+      }, compareNumber(beforeCount[property], afterCount[property]));
+    })
+  };
+}
+
+/**
+ * Compare two stats and get delta of each metric
+ * @param {Object} before baseline stats
+ * @param {Object} after current stats
+ * @returns {Object}
+ */
+function compare(before, after) {
+
+  // object to return
+  var diff = {};
+
+  Object.keys(after).forEach(function (key) {
+
+    if (KEY_IGNORE.indexOf(key) !== -1 || !_.has(before, key)) {
+      return;
+    }
+
+    if (key === 'propertiesCount') {
+      diff[key] = compareProperties(before[key], after[key]);
+    } else if (_.isNumber(before[key]) && _.isNumber(after[key])) {
+      diff[key] = compareNumber(before[key], after[key]);
+    } else if (KEY_LIST.indexOf(key) !== -1) {
+      diff[key] = compareList(before[key], after[key]);
+    } else if (!_.isEqual(before[key], after[key])) {
+      diff[key] = {
+        before: before[key],
+        after: after[key]
+      };
+    }
+  });
+
+  return diff;
+}
+
+module.exports = compare;
@@ -0,0 +1,49 @@
+var util = require('util');
+var _ = require('underscore');
+
+/**
+ * Base error class of StyleStats
+ * @param {String} message
+ * @param {Object} properties additional properties such as `url` and `line`
+ * @constructor
+ */
+function StyleStatsError(message, properties) {
+  Error.call(this);
+  Error.captureStackTrace(this, this.constructor);
+  this.name = this.constructor.name;
+  this.message = message;
+  _.extend(this, properties);
+}
+util.inherits(StyleStatsError, Error);
+
+/**
+ * Create error class which inherits StyleStatsError
+ * @param {String} name
+ * @returns {Function}
+ */
+function createError(name) {
+  var CustomError = function (message, properties) {
+    StyleStatsError.call(this, message, properties);
+    this.name = name;
+  };
+  util.inherits(CustomError, StyleStatsError);
+  return CustomError;
+}
+
+module.exports = {
+  StyleStatsError: StyleStatsError,
+  // failed to request remote file, `url` and `statusCode`
+  NetworkError: createError('NetworkError'),
+  // failed to compile Sass, LESS or Stylus, `file`, `line` and `column`
+  CompileError: createError('CompileError'),
+  // failed to parse CSS, `source`, `line` and `column`
+  CSSSyntaxError: createError('CSSSyntaxError'),
+  // invalid configuration, `option`
+  ConfigError: createError('ConfigError'),
+  // custom metric of plugin failed, `metric`
+  PluginError: createError('PluginError'),
+  // no stylesheet or rule to analyze, or local page is not found, `url`
+  NoInputError: createError('NoInputError'),
+  // metrics are over budget, `results`
+  BudgetError: createError('BudgetError')
+};
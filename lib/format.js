@@ -1,41 +1,375 @@
 var fs = require('fs');
 var path = require('path');
 var _ = require('underscore');
+var numeral = require('numeral');
 var json2csv = require('json2csv');
 var Table = require('cli-table');
 var prettify = require('../lib/prettify');
 
-function Format(data, isSimple) {
-  this.data = data;
-  this.isSimple = !!isSimple;
-}
+// metrics rendered in trend report
+var TREND_METRICS = [
+  'size',
+  'gzippedSize',
+  'rules',
+  'selectors',
+  'totalUniqueColors',
+  'importantKeywords'
+];
 
-Format.prototype.toJSON = function (callback) {
-  callback(JSON.stringify(this.data, null, 2));
+// methods and file extension of each output type
+var TYPES = {
+  json: {
+    method: 'toJSON',
+    diffMethod: 'toDiffJSON',
+    extension: '.json'
+  },
+  csv: {
+    method: 'toCSV',
+    extension: '.csv'
+  },
+  html: {
+    method: 'toHTML',
+    diffMethod: 'toDiffHTML',
+    extension: '.html'
+  },
+  markdown: {
+    method: 'toMarkdown',
+    diffMethod: 'toDiffMarkdown',
+    extension: '.md'
+  },
+  junit: {
+    method: 'toJUnit',
+    extension: '.xml'
+  },
+  table: {
+    method: 'toTable',
+    diffMethod: 'toDiffTable',
+    extension: '.txt'
+  }
 };
 
-Format.prototype.toCSV = function (callback) {
+// metrics shown as summary cards in HTML report
+var SUMMARY_METRICS = [
+  'size',
+  'gzippedSize',
+  'rules',
+  'selectors',
+  'simplicity',
+  'totalUniqueColors',
+  'importantKeywords',
+  'idSelectors'
+];
 
-  var data = this.data;
+// list longer than this is collapsed in HTML report
+var COLLAPSE_LENGTH = 10;
+
+var CHART_WIDTH = 600;
+var CHART_HEIGHT = 120;
+var CHART_PADDING = 6;
+
+/**
+ * Get stats of each source if there are multiple sources
+ * @param {Object} data
+ * @returns {Array}
+ */
+function getSources(data) {
+  if (Array.isArray(data.sources) && data.sources.length > 1) {
+    return data.sources;
+  }
+  return [];
+}
+
+/**
+ * Flatten stats into a CSV row
+ * @param {Object} data
+ * @param {Object} registry of custom metrics
+ * @returns {Object}
+ */
+function toCSVRow(data, registry) {
+
+  var row = {};
 
   Object.keys(data).forEach(function (key) {
 
+    var value = data[key];
+
+    if (key === 'sources' || key === 'budget') {
+      return;
+    }
+
     if (key === 'propertiesCount') {
-      var array = [];
-      data[key].forEach(function (item) {
-        array.push([item.property + ':' + item.count]);
+      value = value.map(function (item) {
+        return item.property + ':' + item.count;
+      });
+    }
+
+    if (prettify.formatList(key, value, registry)) {
+      value = prettify.formatList(key, value, registry);
+    }
+
+    if (Array.isArray(value)) {
+      value = value.join(' ');
+    }
+
+    row[key] = value;
+  });
+
+  return row;
+}
+
+/**
+ * Prettify stats into an object keyed by metric name
+ * @param {Object} data
+ * @param {Object} registry of custom metrics
+ * @returns {Object}
+ */
+function toPrettifiedObject(data, registry) {
+  var object = {};
+  prettify(data, registry).forEach(function (stats) {
+    _.extend(object, stats);
+  });
+  return object;
+}
+
+/**
+ * Format delta of metric with sign
+ * @param {String} key
+ * @param {Number} delta
+ * @param {Object} registry of custom metrics
+ * @returns {String}
+ */
+function formatDelta(key, delta, registry) {
+  var sign = delta > 0 ? '+' : (delta < 0 ? '-' : '');
+  return sign + prettify.formatNumber(key, Math.abs(delta), registry);
+}
+
+/**
+ * Prettify comparison into rows of before, after and delta
+ * @param {Object} diff
+ * @param {Object} registry of custom metrics
+ * @returns {Array}
+ */
+function prettifyDiff(diff, registry) {
+  return Object.keys(diff).map(function (key) {
+    var item = diff[key];
+    var row = {};
+    var lines = [];
+    var label = prettify.getAlias(key, registry);
+    if (key === 'propertiesCount') {
+      item.added.forEach(function (property) {
+        lines.push('+ ' + property);
+      });
+      item.removed.forEach(function (property) {
+        lines.push('- ' + property);
+      });
+      item.changed.forEach(function (property) {
+        lines.push(property.property + ': ' + formatDelta(key, property.delta, registry));
+      });
+      row[label] = ['', '', lines.join('\n')];
+    } else if (Array.isArray(item.added)) {
+      lines.push(formatDelta(key, item.delta, registry));
+      item.added.forEach(function (value) {
+        lines.push('+ ' + value);
       });
-      data[key] = array;
+      item.removed.forEach(function (value) {
+        lines.push('- ' + value);
+      });
+      row[label] = [item.before, item.after, lines.join('\n')];
+    } else if (_.isNumber(item.delta)) {
+      lines.push(formatDelta(key, item.delta, registry));
+      if (item.percent !== null && item.delta !== 0) {
+        lines.push('(' + numeral(item.percent).format('+0.0%') + ')');
+      }
+      row[label] = [
+        prettify.formatNumber(key, item.before, registry),
+        prettify.formatNumber(key, item.after, registry),
+        lines.join(' ')
+      ];
+    } else {
+      row[label] = [item.before, item.after, ''];
     }
+    return row;
+  });
+}
+
+/**
+ * Escape value for a cell of markdown table
+ * @param {*} value
+ * @returns {String}
+ */
+function toMarkdownCell(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  return String(value).replace(/\|/g, '\\|').replace(/\n/g, '<br>');
+}
+
+/**
+ * Render markdown table
+ * @param {Array} head
+ * @param {Array} rows array of cells
+ * @returns {String}
+ */
+function toMarkdownTable(head, rows) {
+  var lines = [head, head.map(function () {
+    return '---';
+  })].concat(rows);
+  return lines.map(function (cells) {
+    return '| ' + cells.map(toMarkdownCell).join(' | ') + ' |';
+  }).join('\n');
+}
+
+/**
+ * Escape value for XML
+ * @param {*} value
+ * @returns {String}
+ */
+function escapeXML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Get rows of HTML report which keep raw values for rich rendering
+ * @param {Object} data
+ * @param {Object} registry of custom metrics
+ * @returns {Array}
+ */
+function toHTMLRows(data, registry) {
+
+  var rows = [];
+
+  Object.keys(data).forEach(function (key) {
 
-    if (Array.isArray(data[key])) {
-      data[key] = data[key].join(' ');
+    // ignored metrics are not prettified
+    var prettified = prettify(_.pick(data, key), registry)[0];
+    if (!prettified) {
+      return;
     }
+
+    var label = Object.keys(prettified)[0];
+    var value = data[key];
+    var row = {
+      key: key,
+      label: label,
+      type: 'value',
+      value: prettified[label]
+    };
+
+    if (key === 'uniqueColor') {
+      row.type = 'colors';
+      row.items = value;
+    } else if (key === 'uniqueFontFamily') {
+      row.type = 'fonts';
+      row.items = value;
+    } else if (key === 'fontSizeScale') {
+      var max = _.max(_.pluck(value, 'px'));
+      row.type = 'scale';
+      row.items = value.map(function (item) {
+        return _.extend({
+          width: max ? Math.round(item.px / max * 100) : 0
+        }, item);
+      });
+    } else if (key === 'propertiesCount' || key === 'inlineProperties') {
+      row.type = 'properties';
+      row.items = value;
+    } else if (Array.isArray(value) && key !== 'specificityGraph') {
+      row.type = 'list';
+      row.items = (prettify.formatList(key, value, registry) || value).map(function (item) {
+        return _.isObject(item) ? JSON.stringify(item) : String(item);
+      });
+      row.collapsed = row.items.length > COLLAPSE_LENGTH;
+    }
+
+    rows.push(row);
+  });
+
+  return rows;
+}
+
+/**
+ * Get line chart of metric from history entries
+ * @param {Array} entries
+ * @param {String} key
+ * @returns {Object|null} null if no entry has the metric
+ */
+function getTrendChart(entries, key) {
+
+  var values = entries.filter(function (entry) {
+    return _.isNumber(entry.stats[key]);
+  });
+  if (values.length === 0) {
+    return null;
+  }
+
+  var numbers = values.map(function (entry) {
+    return entry.stats[key];
   });
+  var min = Math.min.apply(Math, numbers);
+  var max = Math.max.apply(Math, numbers);
+  var width = CHART_WIDTH - CHART_PADDING * 2;
+  var height = CHART_HEIGHT - CHART_PADDING * 2;
+
+  var dots = values.map(function (entry, index) {
+    var x = values.length === 1 ? width / 2 : width * index / (values.length - 1);
+    var y = max === min ? height / 2 : height * (max - entry.stats[key]) / (max - min);
+    return {
+      x: Math.round(x + CHART_PADDING),
+      y: Math.round(y + CHART_PADDING),
+      title: [entry.timestamp, entry.label, prettify.formatNumber(key, entry.stats[key])].filter(Boolean).join(' ')
+    };
+  });
+
+  return {
+    key: key,
+    label: prettify.getAlias(key),
+    latest: prettify.formatNumber(key, _.last(numbers)),
+    min: prettify.formatNumber(key, min),
+    max: prettify.formatNumber(key, max),
+    points: dots.map(function (dot) {
+      return dot.x + ',' + dot.y;
+    }).join(' '),
+    dots: dots
+  };
+}
+
+/**
+ * Format class
+ * @param {Object} data stats, comparison or history entries
+ * @param {Boolean} isSimple compact table
+ * @param {Object} registry of custom metrics such as `StyleStats#registry` for their alias and format
+ * @constructor
+ */
+function Format(data, isSimple, registry) {
+  this.data = data;
+  this.isSimple = !!isSimple;
+  this.registry = registry || null;
+}
+
+Format.prototype.toJSON = function (callback) {
+  callback(JSON.stringify(this.data, null, 2));
+};
+
+Format.prototype.toCSV = function (callback) {
+
+  var registry = this.registry;
+  var rows = [toCSVRow(this.data, registry)];
+  var fields = Object.keys(rows[0]);
+
+  var sources = getSources(this.data);
+  if (sources.length) {
+    sources.forEach(function (source) {
+      rows.push(toCSVRow(source, registry));
+    });
+    fields = _.union(['path'], fields, Object.keys(rows[1]));
+  }
 
   json2csv({
-    data: data,
-    fields: Object.keys(data)
+    data: rows,
+    fields: fields
   }, function (error, csv) {
     if (error) {
       throw error;
@@ -53,27 +387,208 @@ Format.prototype.toHTML = function (callback) {
   });
   var template = _.template(templateString);
 
+  var data = this.data;
+  var registry = this.registry;
+  var rows = toHTMLRows(data, registry);
+
   callback(template({
-    stats: prettify(this.data),
-    published: this.data.published,
-    paths: this.data.paths
+    published: data.published,
+    paths: data.paths || [],
+    summary: rows.filter(function (row) {
+      return SUMMARY_METRICS.indexOf(row.key) !== -1;
+    }),
+    budget: data.budget,
+    stats: rows,
+    sources: getSources(data).map(function (source) {
+      return {
+        path: source.path,
+        stats: toHTMLRows(source, registry)
+      };
+    })
   }));
 };
 
 Format.prototype.toTable = function (callback) {
 
+  var sources = getSources(this.data);
+  var options = {
+    style: {
+      head: ['cyan'],
+      compact: this.isSimple
+    }
+  };
+
+  // show each source as its own column
+  if (sources.length) {
+    options.head = ['', 'Total'].concat(_.pluck(sources, 'path'));
+  }
+
+  var registry = this.registry;
+  var table = new Table(options);
+  var sourceStats = sources.map(function (source) {
+    return toPrettifiedObject(source, registry);
+  });
+
+  prettify(this.data, registry).forEach(function (row) {
+    if (sources.length) {
+      var prop = Object.keys(row)[0];
+      row[prop] = [row[prop]].concat(sourceStats.map(function (stats) {
+        return _.has(stats, prop) ? stats[prop] : '';
+      }));
+    }
+    table.push(row);
+  });
+
+  callback(table.toString());
+};
+
+/**
+ * Render trend charts from history entries
+ * @param {Function} callback
+ */
+Format.prototype.toTrendHTML = function (callback) {
+
+  var templatePath = path.join(__dirname, '../assets/trend.template');
+  var templateString = fs.readFileSync(templatePath, {
+    encoding: 'utf8'
+  });
+  var template = _.template(templateString);
+
+  var entries = this.data;
+  var charts = TREND_METRICS.map(function (key) {
+    return getTrendChart(entries, key);
+  }).filter(Boolean);
+
+  callback(template({
+    entries: entries,
+    from: entries.length ? _.first(entries).timestamp : '',
+    to: entries.length ? _.last(entries).timestamp : '',
+    width: CHART_WIDTH,
+    height: CHART_HEIGHT,
+    charts: charts,
+    rows: entries.map(function (entry) {
+      return [entry.timestamp, entry.label || ''].concat(charts.map(function (chart) {
+        return _.has(entry.stats, chart.key) ? prettify.formatNumber(chart.key, entry.stats[chart.key]) : '';
+      }));
+    })
+  }));
+};
+
+Format.prototype.toMarkdown = function (callback) {
+
+  var sources = getSources(this.data);
+  var head = ['Metrics', 'Result'];
+  if (sources.length) {
+    head = ['Metrics', 'Total'].concat(_.pluck(sources, 'path'));
+  }
+  var registry = this.registry;
+  var sourceStats = sources.map(function (source) {
+    return toPrettifiedObject(source, registry);
+  });
+
+  var rows = prettify(this.data, registry).map(function (row) {
+    var prop = Object.keys(row)[0];
+    return [prop, row[prop]].concat(sourceStats.map(function (stats) {
+      return stats[prop];
+    }));
+  });
+
+  callback('## StyleStats\n\n' + toMarkdownTable(head, rows) + '\n');
+};
+
+/**
+ * Render budget results of stats and each source as JUnit XML
+ * @param {Function} callback
+ */
+Format.prototype.toJUnit = function (callback) {
+
+  var suites = [{
+    name: 'stylestats',
+    budget: this.data.budget
+  }].concat(getSources(this.data).map(function (source) {
+    return {
+      name: source.path,
+      budget: source.budget
+    };
+  })).filter(function (suite) {
+    return suite.budget;
+  });
+
+  var lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+  var tests = 0;
+  var failures = 0;
+  var body = [];
+
+  suites.forEach(function (suite) {
+    var suiteFailures = _.reject(suite.budget.results, function (item) {
+      return item.passed;
+    }).length;
+    tests += suite.budget.results.length;
+    failures += suiteFailures;
+    body.push('  <testsuite name="' + escapeXML(suite.name) + '" tests="' + suite.budget.results.length +
+      '" failures="' + suiteFailures + '">');
+    suite.budget.results.forEach(function (item) {
+      var testcase = '    <testcase classname="' + escapeXML(suite.name) + '" name="' + escapeXML(item.expression) + '"';
+      if (item.passed) {
+        body.push(testcase + '/>');
+      } else {
+        body.push(testcase + '>');
+        body.push('      <failure message="' + escapeXML(item.metric + ' is ' + item.actual + ', expected ' +
+          item.operator + ' ' + item.expected) + '"/>');
+        body.push('    </testcase>');
+      }
+    });
+    body.push('  </testsuite>');
+  });
+
+  lines.push('<testsuites name="StyleStats" tests="' + tests + '" failures="' + failures + '">');
+  callback(lines.concat(body, '</testsuites>').join('\n'));
+};
+
+Format.prototype.toDiffJSON = function (callback) {
+  this.toJSON(callback);
+};
+
+Format.prototype.toDiffHTML = function (callback) {
+
+  var templatePath = path.join(__dirname, '../assets/diff.template');
+  var templateString = fs.readFileSync(templatePath, {
+    encoding: 'utf8'
+  });
+  var template = _.template(templateString);
+
+  callback(template({
+    diff: prettifyDiff(this.data, this.registry)
+  }));
+};
+
+Format.prototype.toDiffMarkdown = function (callback) {
+
+  var rows = prettifyDiff(this.data, this.registry).map(function (row) {
+    var prop = Object.keys(row)[0];
+    return [prop].concat(row[prop]);
+  });
+
+  callback('## StyleStats\n\n' + toMarkdownTable(['Metrics', 'Before', 'After', 'Delta'], rows) + '\n');
+};
+
+Format.prototype.toDiffTable = function (callback) {
+
   var table = new Table({
+    head: ['', 'Before', 'After', 'Delta'],
     style: {
       head: ['cyan'],
       compact: this.isSimple
     }
   });
 
-  prettify(this.data).forEach(function (row) {
+  prettifyDiff(this.data, this.registry).forEach(function (row) {
     table.push(row);
   });
 
   callback(table.toString());
 };
 
+Format.TYPES = TYPES;
+
 module.exports = Format;
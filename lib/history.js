@@ -0,0 +1,81 @@
+var fs = require('fs');
+var _ = require('underscore');
+
+// metrics which are not saved into history
+var KEY_IGNORE = [
+  'published',
+  'sources'
+];
+
+/**
+ * Append stats into history file as a line of NDJSON
+ * History file of JSON array is rewritten with the entry not to be corrupted.
+ * @param {String} file
+ * @param {Object} stats
+ * @param {String} label such as git SHA
+ * @param {Function} callback
+ */
+function save(file, stats, label, callback) {
+  var entry = {
+    timestamp: (stats.published ? new Date(stats.published) : new Date()).toISOString(),
+    label: label || null,
+    stats: _.omit(stats, KEY_IGNORE)
+  };
+  fs.readFile(file, {
+    encoding: 'utf8'
+  }, function (error, string) {
+    if (error || !/^\s*\[/.test(string)) {
+      fs.appendFile(file, JSON.stringify(entry) + '\n', function (error) {
+        callback(error || null, entry);
+      });
+      return;
+    }
+    var entries;
+    try {
+      entries = JSON.parse(string);
+    } catch (e) {
+      callback(new Error('History file is invalid: ' + file), null);
+      return;
+    }
+    fs.writeFile(file, JSON.stringify(entries.concat(entry), null, 2) + '\n', function (error) {
+      callback(error || null, entry);
+    });
+  });
+}
+
+/**
+ * Load entries from history file of NDJSON or JSON array
+ * @param {String} file
+ * @param {Function} callback
+ */
+function load(file, callback) {
+  fs.readFile(file, {
+    encoding: 'utf8'
+  }, function (error, string) {
+    if (error) {
+      callback(error, null);
+      return;
+    }
+    var entries;
+    try {
+      if (/^\s*\[/.test(string)) {
+        entries = JSON.parse(string);
+      } else {
+        entries = string.split('\n').filter(function (line) {
+          return line.trim() !== '';
+        }).map(function (line) {
+          return JSON.parse(line);
+        });
+      }
+    } catch (e) {
+      callback(new Error('History file is invalid: ' + file), null);
+      return;
+    }
+    callback(null, _.sortBy(entries, 'timestamp'));
+  });
+}
+
+module.exports = {
+  save: save,
+  load: load
+};
@@ -0,0 +1,208 @@
+var fs = require('fs');
+var path = require('path');
+var stream = require('stream');
+var _ = require('underscore');
+var Promise = require('promise');
+
+var util = require('./util');
+var errors = require('./errors');
+var Format = require('./format');
+var StyleStats = require('./stylestats');
+
+/**
+ * Integration class for build tools such as webpack, gulp and grunt
+ * @param {Object} options
+ *   {String|Object} config configuration JSON file path or object
+ *   {String} type report format, `json`, `csv`, `html`, `markdown`, `junit` or `table`
+ *   {String} output path of report file
+ *   {Object|Array} thresholds budget of each asset which fails the build
+ *   {Boolean} failOnThresholds `false` not to fail the build
+ *   {Boolean} simple compact table
+ * @constructor
+ */
+function Integration(options) {
+
+  this.options = _.extend({
+    config: {},
+    type: 'json',
+    output: null,
+    thresholds: null,
+    failOnThresholds: true,
+    simple: false
+  }, options);
+
+  if (!_.has(Format.TYPES, this.options.type)) {
+    throw new Error('Report type is invalid: ' + this.options.type);
+  }
+
+  var config = this.options.config;
+  if (_.isString(config) && util.isFile(config)) {
+    config = JSON.parse(fs.readFileSync(config, {
+      encoding: 'utf8'
+    }));
+  }
+  this.config = _.extend({}, config);
+  if (this.options.thresholds) {
+    this.config.budget = this.options.thresholds;
+  }
+}
+
+/**
+ * Write report file
+ * @param {Object} stats
+ * @param {Object} registry of custom metrics
+ * @returns {Promise}
+ */
+Integration.prototype.report = function (stats, registry) {
+  var that = this;
+  return new Promise(function (resolve, reject) {
+    if (!that.options.output) {
+      resolve(null);
+      return;
+    }
+    var format = new Format(stats, that.options.simple, registry);
+    format[Format.TYPES[that.options.type].method](function (report) {
+      var output = path.resolve(that.options.output);
+      fs.mkdirSync(path.dirname(output), {
+        recursive: true
+      });
+      fs.writeFile(output, report, function (error) {
+        if (error) {
+          reject(error);
+        } else {
+          resolve(output);
+        }
+      });
+    });
+  });
+};
+
+/**
+ * Analyze in-memory assets, write report and check thresholds
+ * @param {Array} assets which have `name` and `contents` of String or Buffer
+ * @param {Function} callback
+ * @returns {Promise} if callback is not given
+ */
+Integration.prototype.run = function (assets, callback) {
+
+  var that = this;
+
+  if (assets.length === 0) {
+    return Promise.resolve(null).nodeify(callback);
+  }
+
+  var styleStats = new StyleStats(assets, this.config);
+  var result;
+
+  return styleStats.parse().then(function (stats) {
+    result = stats;
+
+    // evaluate thresholds for each asset
+    if (styleStats.budget) {
+      (stats.sources || []).forEach(function (source) {
+        source.budget = styleStats.budget.evaluate(source);
+      });
+    }
+    return that.report(stats, styleStats.registry);
+  }).then(function () {
+    // total stats are checked if per-source stats are disabled or there is only one asset
+    var targets = result.sources && result.sources.length ? result.sources : [{
+      path: assets.length === 1 ? assets[0].name : 'Total',
+      budget: result.budget
+    }];
+    var failures = targets.filter(function (source) {
+      return source.budget && !source.budget.passed;
+    });
+    if (failures.length && that.options.failOnThresholds) {
+      throw new errors.BudgetError(failures.map(function (source) {
+        return source.path + ' is over budget: ' + _.pluck(_.reject(source.budget.results, function (item) {
+          return item.passed;
+        }), 'expression').join(', ');
+      }).join('\n'), {
+        results: failures
+      });
+    }
+    return result;
+  }).nodeify(callback);
+};
+
+/**
+ * Apply to webpack compiler to analyze emitted css assets
+ * @param {Object} compiler
+ */
+Integration.prototype.apply = function (compiler) {
+  var that = this;
+  compiler.hooks.emit.tapAsync('StyleStats', function (compilation, done) {
+    var assets = Object.keys(compilation.assets).filter(function (name) {
+      return path.extname(name) === '.css';
+    }).map(function (name) {
+      return {
+        name: name,
+        contents: compilation.assets[name].source()
+      };
+    });
+    that.run(assets, function (error) {
+      if (error) {
+        compilation.errors.push(error);
+      }
+      done();
+    });
+  });
+};
+
+/**
+ * Register multi task `stylestats` of grunt which analyzes css files of targets
+ * @param {Object} grunt
+ */
+Integration.prototype.grunt = function (grunt) {
+  var that = this;
+  grunt.registerMultiTask('stylestats', 'Analyze css files with StyleStats.', function () {
+    var done = this.async();
+    var assets = [];
+    this.files.forEach(function (file) {
+      file.src.filter(function (src) {
+        return path.extname(src) === '.css' && grunt.file.isFile(src);
+      }).forEach(function (src) {
+        assets.push({
+          name: src,
+          contents: grunt.file.read(src)
+        });
+      });
+    });
+    that.run(assets, function (error) {
+      if (error) {
+        grunt.log.error(error.message);
+      }
+      done(!error);
+    });
+  });
+};
+
+/**
+ * Get transform stream for gulp which analyzes css files passing through
+ * @returns {Stream}
+ */
+Integration.prototype.stream = function () {
+  var that = this;
+  var assets = [];
+  var transform = new stream.Transform({
+    objectMode: true
+  });
+  transform._transform = function (file, encoding, callback) {
+    if (file.contents && path.extname(file.path) === '.css') {
+      assets.push({
+        name: file.relative || path.basename(file.path),
+        contents: file.contents
+      });
+    }
+    callback(null, file);
+  };
+  transform._flush = function (callback) {
+    that.run(assets, function (error) {
+      callback(error);
+    });
+  };
+  return transform;
+};
+
+module.exports = Integration;
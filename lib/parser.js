@@ -3,36 +3,532 @@ var fs = require('fs');
 var url = require('url');
 var path = require('path');
 var Promise = require('promise');
+var TextDecoder = require('util').TextDecoder;
 var request = require('request');
 var cheerio = require('cheerio');
 var cssParse = require('css-parse');
 
 var util = require('./util');
+var errors = require('./errors');
+
+// network errors which may succeed on retry
+var RETRY_CODES = ['ETIMEDOUT', 'ESOCKETTIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'];
+
+/**
+ * Get charset of response from content-type header, BOM, @charset or meta element
+ * @param {Object} response whose body is a buffer
+ * @returns {String}
+ */
+function getCharset(response) {
+  var matches = /charset=["']?([\w:.-]+)/i.exec(response.headers['content-type'] || '');
+  if (matches) {
+    return matches[1];
+  }
+  var body = response.body;
+  if (body[0] === 0xEF && body[1] === 0xBB && body[2] === 0xBF) {
+    return 'utf-8';
+  }
+  // charset is declared in ASCII compatible bytes
+  var head = body.slice(0, 1024).toString('latin1');
+  matches = /^@charset\s+["']([\w:.-]+)["']/i.exec(head) || /<meta[^>]+charset=["']?([\w:.-]+)/i.exec(head);
+  return matches ? matches[1] : 'utf-8';
+}
+
+/**
+ * Decode response body with its charset, which falls back to UTF-8 if unknown
+ * @param {Object} response whose body is a buffer
+ * @returns {String}
+ */
+function decodeBody(response) {
+  try {
+    return new TextDecoder(getCharset(response)).decode(response.body);
+  } catch (error) {
+    return new TextDecoder('utf-8').decode(response.body);
+  }
+}
+
+/**
+ * Check whether failed request is worth retrying
+ * @param {NetworkError} error
+ * @returns {Boolean}
+ */
+function isRetryable(error) {
+  if (error.statusCode) {
+    return error.statusCode >= 500 || error.statusCode === 429;
+  }
+  return RETRY_CODES.indexOf(error.code) !== -1;
+}
 
 /**
  * Get promised request
+ * Request options are copied for each request. Redirects are followed and compressed body is decoded.
+ * Failed request is retried on network error, status code 5xx or 429 with exponential backoff.
+ * @param {String} requestUrl
  * @param {Object} options
- * @returns {Promise}
+ *   {Object} requestOptions options of request module such as headers
+ *   {Object} credentials cookies and basic auth which are sent only to their `origins`
+ *   {Number} requestTimeout milliseconds to wait for response
+ *   {Number} requestRetries
+ *   {Number} retryDelay milliseconds before first retry, which doubles for each retry
+ * @returns {Promise} response whose body is a decoded string
+ */
+function requestSync(requestUrl, options) {
+
+  var requestOptions = _.extend({
+    timeout: options.requestTimeout,
+    gzip: true
+  }, options.requestOptions, {
+    url: requestUrl,
+    encoding: null
+  });
+  var credentials = options.credentials;
+  if (credentials && credentials.origins.indexOf(util.getOrigin(requestUrl)) !== -1) {
+    if (credentials.cookie) {
+      requestOptions.headers = _.extend({}, requestOptions.headers, {
+        Cookie: _.compact([(requestOptions.headers || {}).Cookie, credentials.cookie]).join('; ')
+      });
+    }
+    requestOptions.auth = credentials.auth;
+    // do not carry credentials over redirect to other origin
+    requestOptions.followRedirect = function (response) {
+      var location = url.resolve(this.uri.href, response.headers.location);
+      if (credentials.origins.indexOf(util.getOrigin(location)) === -1) {
+        this.removeHeader('cookie');
+        this.removeHeader('authorization');
+      }
+      return true;
+    };
+  }
+  var retries = options.requestRetries || 0;
+
+  /**
+   * Request and retry if failed
+   * @param {Number} count of retries
+   * @returns {Promise}
+   */
+  function attempt(count) {
+    return new Promise(function (resolve, reject) {
+      request(requestOptions, function (error, response) {
+        if (error) {
+          reject(new errors.NetworkError(error.message, {
+            url: requestUrl,
+            code: error.code
+          }));
+        } else if (response.statusCode < 200 || response.statusCode >= 300) {
+          reject(new errors.NetworkError('Status code is ' + response.statusCode, {
+            url: requestUrl,
+            statusCode: response.statusCode
+          }));
+        } else {
+          response.body = decodeBody(response);
+          resolve(response);
+        }
+      });
+    }).then(null, function (error) {
+      if (count >= retries || !isRetryable(error)) {
+        throw error;
+      }
+      return new Promise(function (resolve) {
+        setTimeout(resolve, (options.retryDelay || 0) * Math.pow(2, count));
+      }).then(function () {
+        return attempt(count + 1);
+      });
+    });
+  }
+
+  return attempt(0);
+}
+
+// links to files which are not html page
+var NOT_PAGE = /\.(css|js|json|xml|txt|png|jpe?g|gif|svg|ico|webp|pdf|zip|gz|woff2?|ttf|otf|eot|mp3|mp4|webm)$/i;
+
+/**
+ * Crawl same-origin pages from start URL in breadth-first order
+ * Broken links are skipped after `onError` is called with the error.
+ * @param {String} startUrl
+ * @param {Object} options
+ *   {Number} crawlDepth depth of links to follow from start URL
+ *   {Number} crawlLimit max number of pages to request
+ * @param {Function} onError which throws the error to abort crawling
+ * @returns {Promise} responses of start URL and html pages
+ */
+function crawl(startUrl, options, onError) {
+
+  var origin = url.parse(startUrl);
+  var visited = {};
+  var responses = [];
+
+  /**
+   * Request urls at the depth and follow links of them
+   * @param {Array} pageUrls
+   * @param {Number} depth
+   * @returns {Promise}
+   */
+  function crawlDepth(pageUrls, depth) {
+    pageUrls.forEach(function (pageUrl) {
+      visited[pageUrl] = true;
+    });
+    return Promise.all(pageUrls.map(function (pageUrl) {
+      return requestSync(pageUrl, options).then(null, function (error) {
+        onError(error);
+        return null;
+      });
+    })).then(function (results) {
+      var nextUrls = [];
+      results.forEach(function (response) {
+        if (!response) {
+          return;
+        }
+        var isHTML = (response.headers['content-type'] || '').indexOf('html') !== -1;
+        if (depth === 0 || isHTML) {
+          responses.push(response);
+          visited[response.request.href] = true;
+        }
+        if (!isHTML || depth >= options.crawlDepth) {
+          return;
+        }
+        var $ = cheerio.load(response.body);
+        $('a[href]').each(function () {
+          var href = url.resolve(response.request.href, $(this).attr('href')).replace(/#.*$/, '');
+          var parsed = url.parse(href);
+          if (parsed.protocol === origin.protocol && parsed.host === origin.host &&
+            !NOT_PAGE.test(parsed.pathname || '') && !visited[href] && nextUrls.indexOf(href) === -1) {
+            nextUrls.push(href);
+          }
+        });
+      });
+      var remaining = options.crawlLimit - Object.keys(visited).length;
+      if (nextUrls.length === 0 || remaining <= 0) {
+        return responses;
+      }
+      return crawlDepth(nextUrls.slice(0, remaining), depth + 1);
+    });
+  }
+
+  return crawlDepth([startUrl.replace(/#.*$/, '')], 0);
+}
+
+// href and media of @import such as `url("foo.css") screen` or `"foo.css"`
+var IMPORT_REGEXP = /^(?:url\(\s*(['"]?)(.*?)\1\s*\)|(['"])(.*?)\3)\s*(.*)$/;
+
+/**
+ * Read text of local file or remote url
+ * @param {String} location file path or url
+ * @param {Object} options
+ * @returns {Promise} string
  */
-function requestSync(options) {
+function readLocation(location, options) {
+  if (/^https?:\/\//.test(location)) {
+    return requestSync(location, options).then(function (response) {
+      return response.body;
+    });
+  }
   return new Promise(function (resolve, reject) {
-    request(options, function (error, response) {
-      if (!error && response.statusCode === 200) {
-        resolve(response);
-      } else if (!error) {
-        reject('Status code is ' + response.statusCode);
+    fs.readFile(location, {
+      encoding: 'utf8'
+    }, function (error, text) {
+      if (error) {
+        reject(new errors.StyleStatsError(error.message, {
+          url: location,
+          code: error.code
+        }));
       } else {
-        reject(error);
+        resolve(text);
       }
     });
   });
 }
 
+/**
+ * Parse declarations of inline style attribute such as `color: red; margin: 0`
+ * Invalid style is ignored like browsers.
+ * @param {String} style
+ * @param {String} sourcePath
+ * @returns {Array}
+ */
+function parseInlineStyle(style, sourcePath) {
+  try {
+    return cssParse('[style] {' + style + '}', {
+      source: sourcePath
+    }).stylesheet.rules[0].declarations.filter(function (declaration) {
+      return declaration.type === 'declaration';
+    });
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Follow @import of sources recursively
+ * Imported stylesheets are inserted before the importing source and each of them is loaded once.
+ * Imports of css strings from arguments are not followed, because they have no base path.
+ * @param {Array} sources which have `path`, `cssString` and `base`
+ * @param {Object} options
+ * @returns {Promise} `sources` with imported ones and `imports` as edges of import graph
+ */
+function followImports(sources, options) {
+
+  var imports = [];
+  var loaded = {};
+
+  /**
+   * Get absolute file path or url of imported stylesheet
+   * @param {String} href
+   * @param {String} base
+   * @returns {String}
+   */
+  function resolveLocation(href, base) {
+    if (/^\/\//.test(href)) {
+      href = 'https:' + href;
+    }
+    if (/^https?:\/\//.test(base) || /^https?:\/\//.test(href)) {
+      return url.resolve(base, href);
+    }
+    return path.resolve(path.dirname(base), href.replace(/[?#].*$/, ''));
+  }
+
+  /**
+   * Get display path of stylesheet, which is relative to current directory if local file
+   * @param {String} location
+   * @returns {String}
+   */
+  function toPath(location) {
+    return /^https?:\/\//.test(location) ? location : path.relative(process.cwd(), location);
+  }
+
+  /**
+   * Load stylesheets imported by the source and their imports
+   * @param {Object} source
+   * @param {Array} ancestors locations of importing stylesheets
+   * @param {Number} depth
+   * @returns {Promise} imported sources followed by the source
+   */
+  function walk(source, ancestors, depth) {
+    var rules = [];
+    try {
+      rules = cssParse(source.cssString).stylesheet.rules;
+    } catch (error) {
+      // syntax error is thrown when the source is parsed
+    }
+    var results = [];
+    return rules.filter(function (rule) {
+      return rule.type === 'import' && IMPORT_REGEXP.test(rule.import.trim());
+    }).reduce(function (promise, rule) {
+      return promise.then(function () {
+        var matches = rule.import.trim().match(IMPORT_REGEXP);
+        var href = matches[2] || matches[4];
+        var media = matches[5].trim();
+        var location = resolveLocation(href, source.base);
+        var edge = {
+          from: source.path,
+          to: toPath(location),
+          media: media || null,
+          depth: depth
+        };
+        imports.push(edge);
+        if (ancestors.indexOf(location) !== -1) {
+          edge.status = 'cycle';
+          return;
+        }
+        if (loaded[location]) {
+          edge.status = 'duplicate';
+          return;
+        }
+        loaded[location] = true;
+        return readLocation(location, options).then(function (cssString) {
+          edge.status = 'loaded';
+          return walk({
+            path: edge.to,
+            cssString: cssString,
+            base: location,
+            media: media ? (source.media || []).concat(media) : source.media
+          }, ancestors.concat(location), depth + 1);
+        }, function (error) {
+          // broken @import is ignored like browsers
+          edge.status = 'error';
+          edge.error = error.message;
+          return [];
+        }).then(function (importedSources) {
+          Array.prototype.push.apply(results, importedSources);
+        });
+      });
+    }, Promise.resolve()).then(function () {
+      results.push(source);
+      return results;
+    });
+  }
+
+  sources.forEach(function (source) {
+    if (source.base) {
+      source.base = /^https?:\/\//.test(source.base) ? source.base : path.resolve(source.base);
+      loaded[source.base] = true;
+    }
+  });
+
+  return sources.reduce(function (promise, source) {
+    return promise.then(function (results) {
+      if (!source.base) {
+        return results.concat(source);
+      }
+      return walk(source, [source.base], 1).then(function (importedSources) {
+        return results.concat(importedSources);
+      });
+    });
+  }, Promise.resolve([])).then(function (results) {
+    return {
+      sources: results,
+      imports: imports
+    };
+  });
+}
+
+/**
+ * Get Sass compile error with file and line
+ * @param {Error} error
+ * @param {String} sassFile
+ * @returns {CompileError}
+ */
+function getSassError(error, sassFile) {
+  if (!error.span) {
+    return new errors.CompileError(error.message, {
+      file: sassFile
+    });
+  }
+  var file = error.span.url ? path.relative(process.cwd(), url.fileURLToPath(error.span.url)) : sassFile;
+  var line = error.span.start.line + 1;
+  var column = error.span.start.column + 1;
+  return new errors.CompileError(file + ':' + line + ':' + column + ' ' + (error.sassMessage || error.message), {
+    file: file,
+    line: line,
+    column: column
+  });
+}
+
+/**
+ * Get LESS or Stylus compile error with file and line
+ * @param {Error} error
+ * @param {String} file
+ * @returns {CompileError}
+ */
+function getCompileError(error, file) {
+  return new errors.CompileError(error.message, {
+    file: file,
+    line: error.line || null,
+    column: error.column || null
+  });
+}
+
+/**
+ * Read css string from buffer, readable stream, string or named asset
+ * @param {Buffer|Stream|String|Object} style asset has `name` and `contents`
+ * @returns {Promise}
+ */
+function readStyle(style) {
+  if (util.isAsset(style)) {
+    return readStyle(style.contents);
+  }
+  if (Buffer.isBuffer(style)) {
+    return Promise.resolve(style.toString('utf8'));
+  }
+  if (!style || !_.isFunction(style.pipe)) {
+    return Promise.resolve(style);
+  }
+  return new Promise(function (resolve, reject) {
+    var chunks = [];
+    style.on('data', function (chunk) {
+      chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(String(chunk)));
+    });
+    style.on('error', reject);
+    style.on('end', function () {
+      resolve(Buffer.concat(chunks).toString('utf8'));
+    });
+  });
+}
+
+/**
+ * Parse css string of a source into rules, selectors and declarations
+ * @param {String} cssString
+ * @param {String} sourcePath
+ * @param {Array} media conditions of @import which the source is imported with
+ * @returns {Object}
+ */
+function parseSource(cssString, sourcePath, media) {
+
+  // object to return
+  var parsedSource = {
+    rawRules: [],
+    rules: [],
+    selectors: [],
+    declarations: [],
+    atRules: []
+  };
+
+  try {
+    parsedSource.rawRules = cssParse(cssString, {
+      source: sourcePath
+    }).stylesheet.rules;
+  } catch (error) {
+    throw new errors.CSSSyntaxError('CSS parse error: ' + error.message, {
+      source: sourcePath,
+      line: error.line,
+      column: error.column
+    });
+  }
+
+  // wrap rules imported with media conditions into @media
+  (media || []).slice().reverse().forEach(function (condition) {
+    var mediaRule = {
+      type: 'media',
+      media: condition,
+      rules: parsedSource.rawRules
+    };
+    parsedSource.rawRules.forEach(function (rule) {
+      Object.defineProperty(rule, 'parent', {
+        value: mediaRule,
+        enumerable: false,
+        configurable: true,
+        writable: true
+      });
+    });
+    parsedSource.rawRules = [mediaRule];
+  });
+
+  // add rules and at-rules into result
+  // descend into at-rule containers such as @media, @supports and @document
+  (function walk(rules) {
+    rules.forEach(function (rule) {
+      if (rule.type === 'rule') {
+        parsedSource.rules.push(rule);
+      } else if (rule.type !== 'comment') {
+        parsedSource.atRules.push(rule);
+        if (Array.isArray(rule.rules)) {
+          walk(rule.rules);
+        }
+      }
+    });
+  })(parsedSource.rawRules);
+
+  // add selectors and declarations into result
+  parsedSource.rules.forEach(function (rule) {
+    rule.selectors.forEach(function (selector) {
+      parsedSource.selectors.push(selector);
+    });
+    rule.declarations.forEach(function (declaration) {
+      if (declaration.type === 'declaration') {
+        parsedSource.declarations.push(declaration);
+      }
+    });
+  });
+
+  return parsedSource;
+}
+
 /**
  * Parser class
  * @param {Array} urls
  * @param {Array} files
- * @param {Array} styles
+ * @param {Array} styles css strings, buffers, readable streams or named assets
+ * @param {Object} options
  * @constructor
  */
 function Parser(urls, files, styles, options) {
@@ -46,6 +542,7 @@ function Parser(urls, files, styles, options) {
   this.sassFiles = [];
   this.lessFiles = [];
   this.stylusFiles = [];
+  this.htmlFiles = [];
 
   this.files.forEach(function (file) {
     var extname = path.extname(file);
@@ -53,6 +550,10 @@ function Parser(urls, files, styles, options) {
       case '.css':
         this.cssFiles.push(file);
         break;
+      case '.scss':
+      case '.sass':
+        this.sassFiles.push(file);
+        break;
       case '.less':
         this.lessFiles.push(file);
         break;
@@ -60,6 +561,10 @@ function Parser(urls, files, styles, options) {
       case '.stylus':
         this.stylusFiles.push(file);
         break;
+      case '.html':
+      case '.htm':
+        this.htmlFiles.push(file);
+        break;
     }
   }, this);
 }
@@ -67,6 +572,7 @@ function Parser(urls, files, styles, options) {
 /**
  * Parse css data
  * @param {Function} callback
+ * @returns {Promise} if callback is not given
  */
 Parser.prototype.parse = function (callback) {
 
@@ -75,32 +581,104 @@ Parser.prototype.parse = function (callback) {
     cssString: '',
     cssSize: 0,
     styleElements: 0,
-    mediaQueries: 0,
     cssFiles: 0,
     rules: [],
     selectors: [],
-    declarations: []
+    declarations: [],
+    atRules: [],
+    sources: [],
+    pages: [],
+    crawledPages: [],
+    imports: [],
+    requestErrors: [],
+    inlineStyles: {
+      elements: 0,
+      declarations: []
+    }
   };
 
   var that = this;
 
+  /**
+   * Report failed request and skip it, or abort if failOnRequestError
+   * @param {Error} error
+   * @returns {null}
+   */
+  function onRequestError(error) {
+    if (that.options.failOnRequestError) {
+      throw error;
+    }
+    parsedData.requestErrors.push({
+      url: error.url,
+      message: error.message,
+      statusCode: error.statusCode || null,
+      code: error.code || null
+    });
+    return null;
+  }
+
+  // css sources from arguments and remote files
+  // each of them has a path and css string
+  var sources = [];
+
+  // urls of stylesheet defined in html, which are requested once
+  var requestUrlsInner = [];
+
   // remote file requests
   var requestPromises = [];
   this.urls.forEach(function (url) {
-    var options = that.options.requestOptions;
-    options.url = url;
-    requestPromises.push(requestSync(options));
+    if (that.options.crawl) {
+      requestPromises.push(crawl(url, that.options, onRequestError));
+      return;
+    }
+    requestPromises.push(requestSync(url, that.options).then(null, onRequestError));
   });
 
-  // css string array from arguments
-  // they will be joined into css string
-  this.cssFiles.forEach(function (cssFile) {
-    // push local css data
-    that.styles.push(fs.readFileSync(cssFile, {
-      encoding: 'utf8'
+  // local html files are parsed like remote pages
+  this.htmlFiles.forEach(function (htmlFile) {
+    requestPromises.push(readLocation(htmlFile, that.options).then(function (html) {
+      return {
+        path: htmlFile,
+        html: html
+      };
     }));
   });
 
+  // local css files
+  this.cssFiles.forEach(function (cssFile) {
+    sources.push({
+      path: cssFile,
+      cssString: fs.readFileSync(cssFile, {
+        encoding: 'utf8'
+      }),
+      base: cssFile
+    });
+  });
+
+  // Sass compile
+  if (this.sassFiles.length !== 0) {
+    var sass = require('sass');
+    var sassOptions = this.options.sassOptions || {};
+    this.sassFiles.forEach(function (sassFile) {
+      var promise = new Promise(function (resolve, reject) {
+        sass.compileAsync(sassFile, {
+          loadPaths: [path.dirname(sassFile)].concat(sassOptions.includePaths || []),
+          style: 'expanded',
+          logger: sass.Logger.silent
+        }).then(function onFulfilled(output) {
+          resolve({
+            path: sassFile,
+            cssString: output.css,
+            base: sassFile
+          });
+        }, function onRejected(error) {
+          reject(getSassError(error, sassFile));
+        });
+      });
+      requestPromises.push(promise);
+    });
+  }
+
   // LESS compile
   if (this.lessFiles.length !== 0) {
     var less = require('less');
@@ -110,9 +688,13 @@ Parser.prototype.parse = function (callback) {
         less.render(string, {
           filename: path.resolve(lessFile)
         }).then(function onFulfilled(output) {
-          resolve(output.css);
+          resolve({
+            path: lessFile,
+            cssString: output.css,
+            base: lessFile
+          });
         }, function onRejected(error) {
-          reject(error);
+          reject(getCompileError(error, lessFile));
         });
       });
       requestPromises.push(promise);
@@ -129,9 +711,13 @@ Parser.prototype.parse = function (callback) {
           .set('filename', stylusFile)
           .render(function (error, css) {
             if (error) {
-              reject(error);
+              reject(getCompileError(error, stylusFile));
             } else {
-              resolve(css);
+              resolve({
+                path: stylusFile,
+                cssString: css,
+                base: stylusFile
+              });
             }
           });
       });
@@ -139,50 +725,158 @@ Parser.prototype.parse = function (callback) {
     });
   }
 
+  // html pages to find unused selectors
+  var pagePromises = (this.options.pages || []).map(function (page) {
+    if (/^https?:\/\//.test(page)) {
+      return requestSync(page, that.options).then(function (response) {
+        return response.body;
+      }, onRequestError);
+    }
+    return new Promise(function (resolve, reject) {
+      fs.readFile(page, {
+        encoding: 'utf8'
+      }, function (error, html) {
+        if (error) {
+          reject(new errors.NoInputError('Page is not found: ' + page, {
+            url: page,
+            code: error.code
+          }));
+        } else {
+          resolve(html);
+        }
+      });
+    });
+  });
+
+  // css strings, buffers and streams from arguments
+  var stylePromises = this.styles.map(readStyle);
+
   // get remote files
-  Promise.all(requestPromises).then(function onFulfilled(results) {
+  return Promise.all(pagePromises).then(function onFulfilled(pages) {
+    parsedData.pages = _.compact(pages);
+    return Promise.all(stylePromises);
+  }).then(function onFulfilled(styles) {
+    // css strings from arguments come before local files
+    sources.unshift.apply(sources, styles.map(function (style, index) {
+      return {
+        path: that.styles[index].name || '<style:' + (index + 1) + '>',
+        cssString: style
+      };
+    }));
+    return Promise.all(requestPromises);
+  }).then(function onFulfilled(results) {
 
     if (!that.urls.length && !that.files.length && !that.styles.length) {
-      throw new Error('Argument is invalid');
+      throw new errors.NoInputError('Argument is invalid');
     }
 
     // requests to stylesheet defined in html
+    // stylesheets shared across pages are requested once
     var requestPromisesInner = [];
 
-    results.forEach(function (result) {
-      if (util.isCSS(result)) {
-        that.styles.push(result);
+    /**
+     * Add stylesheets, style elements and inline styles of html page
+     * @param {String} pageUrl url or local file path of the page
+     * @param {String} html
+     */
+    function addPage(pageUrl, html) {
+      // parse result body
+      var $ = cheerio.load(html);
+      var $link = $('link[rel=stylesheet]');
+      var $style = $('style');
+
+      // add style element count
+      parsedData.styleElements += $style.length;
+
+      // stylesheets which the page loads
+      var page = {
+        url: pageUrl,
+        stylesheets: [],
+        styleElements: $style.length,
+        size: 0
+      };
+
+      // request link[href], which is read from local file if the page is local
+      var isLocalPage = !/^https?:\/\//.test(pageUrl);
+      $link.each(function () {
+        var relativePath = $(this).attr('href');
+        if (isLocalPage && /^\/\//.test(relativePath)) {
+          relativePath = 'https:' + relativePath;
+        } else if (isLocalPage && /^\//.test(relativePath)) {
+          // root of the site is unknown for local page
+          onRequestError(new errors.StyleStatsError('Root-relative path is not resolved from local page: ' + pageUrl, {
+            url: relativePath
+          }));
+          return;
+        }
+        var absolutePath = url.resolve(pageUrl, relativePath);
+        page.stylesheets.push(absolutePath);
+        if (requestUrlsInner.indexOf(absolutePath) !== -1) {
+          return;
+        }
+        requestUrlsInner.push(absolutePath);
+        var promise = /^https?:\/\//.test(absolutePath) ? requestSync(absolutePath, that.options).then(function (response) {
+          return {
+            path: response.request.href,
+            cssString: response.body
+          };
+        }) : readLocation(absolutePath, that.options).then(function (cssString) {
+          return {
+            path: absolutePath,
+            cssString: cssString
+          };
+        });
+        requestPromisesInner.push(promise.then(null, onRequestError));
+      });
+
+      // add text in style tags
+      $style.each(function (index) {
+        page.size += Buffer.byteLength($(this).text(), 'utf8');
+        sources.push({
+          path: pageUrl + ' <style:' + (index + 1) + '>',
+          cssString: $(this).text(),
+          base: pageUrl
+        });
+      });
+
+      // add declarations in style attributes
+      $('[style]').each(function (index) {
+        var declarations = parseInlineStyle($(this).attr('style'), pageUrl + ' [style:' + (index + 1) + ']');
+        if (declarations.length) {
+          parsedData.inlineStyles.elements += 1;
+          Array.prototype.push.apply(parsedData.inlineStyles.declarations, declarations);
+        }
+      });
+
+      if (that.options.crawl) {
+        parsedData.crawledPages.push(page);
+      }
+    }
+
+    // responses of crawled pages are flattened, and failed requests are skipped
+    _.compact(_.flatten(results, true)).forEach(function (result) {
+      if (_.isString(result.cssString)) {
+        // push compiled css data
+        sources.push(result);
+      } else if (_.isString(result.html)) {
+        // local html file
+        addPage(result.path, result.html);
       } else {
         // push remote css data
-        var type = result.headers['content-type'];
+        var type = result.headers['content-type'] || '';
         if (type.indexOf('html') > -1) {
-          // parse result body
-          var $ = cheerio.load(result.body);
-          var $link = $('link[rel=stylesheet]');
-          var $style = $('style');
-
-          // add css file count
-          parsedData.cssFiles += $link.length;
-          parsedData.styleElements += $style.length;
-
-          // request link[href]
-          $link.each(function () {
-            var relativePath = $(this).attr('href');
-            var absolutePath = url.resolve(result.request.href, relativePath);
-            var options = that.options.requestOptions;
-            options.url = absolutePath;
-            requestPromisesInner.push(requestSync(options));
-          });
-
-          // add text in style tags
-          $style.each(function () {
-            that.styles.push($(this).text());
-          });
+          addPage(result.request.href, result.body);
         } else if (type.indexOf('css') !== -1) {
           parsedData.cssFiles += 1;
-          that.styles.push(result.body);
+          sources.push({
+            path: result.request.href,
+            cssString: result.body,
+            base: result.request.href
+          });
         } else {
-          throw new Error('Content type is not HTML or CSS!');
+          onRequestError(new errors.NetworkError('Content type is not HTML or CSS!', {
+            url: result.request.href
+          }));
         }
       }
     });
@@ -194,62 +888,78 @@ Parser.prototype.parse = function (callback) {
     }
   }).then(function onFulfilled(results) {
     if (Array.isArray(results)) {
-      results.forEach(function (result) {
-        that.styles.push(result.body);
+      _.compact(results).forEach(function (result) {
+        parsedData.cssFiles += 1;
+        sources.push({
+          path: result.path,
+          cssString: result.cssString,
+          base: result.path
+        });
+      });
+
+      // add size of stylesheets which each page loads
+      parsedData.crawledPages.forEach(function (page) {
+        _.uniq(page.stylesheets).forEach(function (stylesheet) {
+          var result = results[requestUrlsInner.indexOf(stylesheet)];
+          if (result) {
+            page.size += Buffer.byteLength(result.cssString, 'utf8');
+          }
+        });
       });
     }
 
+    if (!that.options.followImports) {
+      return sources;
+    }
+    return followImports(sources, that.options).then(function (imported) {
+      parsedData.imports = imported.imports;
+      return imported.sources;
+    });
+  }).then(function onFulfilled(sources) {
+
     // join all css string
-    parsedData.cssString = that.styles.join('');
+    parsedData.cssString = _.pluck(sources, 'cssString').join('');
     parsedData.cssSize = Buffer.byteLength(parsedData.cssString, 'utf8');
 
-    // parse css string
-    var rawRules = [];
+    // parse each css string
+    var rawRulesCount = 0;
+    sources.forEach(function (source) {
+      var parsedSource = parseSource(source.cssString, source.path, source.media);
+      rawRulesCount += parsedSource.rawRules.length;
 
-    try {
-      rawRules = cssParse(parsedData.cssString).stylesheet.rules;
-    } catch (error) {
-      throw new Error('CSS parse error.');
-    }
+      // add rules, selectors and declarations into result
+      Array.prototype.push.apply(parsedData.rules, parsedSource.rules);
+      Array.prototype.push.apply(parsedData.selectors, parsedSource.selectors);
+      Array.prototype.push.apply(parsedData.declarations, parsedSource.declarations);
+      Array.prototype.push.apply(parsedData.atRules, parsedSource.atRules);
 
-    // check number of rules
-    if (rawRules[0] === undefined) {
-      throw new Error('Rule is not found.');
-    }
-
-    // add rules into result
-    rawRules.forEach(function (rule) {
-      if (rule.type === 'rule') {
-        parsedData.rules.push(rule);
-      } else if (rule.type === 'media') {
-        parsedData.mediaQueries += 1;
-        rule.rules.forEach(function (rule) {
-          if (rule.type === 'rule') {
-            parsedData.rules.push(rule);
-          }
-        });
-      }
-    });
-
-    // add selectors and declarations into result
-    parsedData.rules.forEach(function (rule) {
-      rule.selectors.forEach(function (selector) {
-        parsedData.selectors.push(selector);
-      });
-      rule.declarations.forEach(function (declaration) {
-        if (declaration.type === 'declaration') {
-          parsedData.declarations.push(declaration);
-        }
+      parsedData.sources.push({
+        path: source.path,
+        cssString: source.cssString,
+        cssSize: Buffer.byteLength(source.cssString, 'utf8'),
+        rules: parsedSource.rules,
+        selectors: parsedSource.selectors,
+        declarations: parsedSource.declarations,
+        atRules: parsedSource.atRules
       });
     });
-    if (_.isFunction(callback)) {
-      callback(null, parsedData);
+
+    // inline declarations are analyzed with declarations of stylesheets
+    if (that.options.mergeInlineStyles) {
+      Array.prototype.push.apply(parsedData.declarations, parsedData.inlineStyles.declarations);
     }
-  }).catch(function onRejected(error) {
-    if (_.isFunction(callback)) {
-      callback(error, null);
+
+    // check number of rules, and inline declarations for pages without stylesheets
+    if (rawRulesCount === 0 && parsedData.inlineStyles.declarations.length === 0) {
+      throw new errors.NoInputError(['Rule is not found.'].concat(parsedData.requestErrors.map(function (requestError) {
+        return 'Failed to request ' + requestError.url + ': ' + requestError.message;
+      })).join('\n'), {
+        requestErrors: parsedData.requestErrors
+      });
     }
-  });
+
+    return parsedData;
+  }).nodeify(callback);
 };
 
 // export
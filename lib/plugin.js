@@ -0,0 +1,105 @@
+var fs = require('fs');
+var path = require('path');
+var _ = require('underscore');
+var errors = require('./errors');
+var defaultOptions = require('../assets/default.json');
+
+var FORMATS = ['number', 'byte', 'percent', 'list'];
+
+/**
+ * Registry of custom metrics
+ * Each StyleStats instance has its own registry, so that plugins of one config do not leak into others.
+ * @constructor
+ */
+function Registry() {
+  // registered metrics keyed by name
+  this.metrics = {};
+}
+
+/**
+ * Register custom metric
+ * @param {Object} metric
+ *   {String} name key of the metric in stats, which must not be a built-in metric or option
+ *   {String} alias label of the metric such as `BEM Violations`
+ *   {String} format one of `number`, `byte`, `percent` and `list`
+ *   {Function} analyze called with rules, selectors, declarations, cssString and options
+ *   {Function} formatItem optional formatter for each item of list
+ * @returns {Object}
+ */
+Registry.prototype.register = function (metric) {
+  if (!_.isObject(metric) || !_.isString(metric.name) || !_.isFunction(metric.analyze)) {
+    throw new errors.ConfigError('Plugin metric must have name and analyze function.', {
+      option: 'plugins'
+    });
+  }
+  if (_.has(defaultOptions, metric.name)) {
+    throw new errors.ConfigError('Plugin metric name is reserved: ' + metric.name, {
+      option: 'plugins'
+    });
+  }
+  if (metric.format && FORMATS.indexOf(metric.format) === -1) {
+    throw new errors.ConfigError('Plugin metric format is invalid: ' + metric.format, {
+      option: 'plugins'
+    });
+  }
+  this.metrics[metric.name] = metric;
+  return metric;
+};
+
+/**
+ * Load and register metrics from modules or metric objects
+ * Module path is resolved from current working directory.
+ * @param {Array} plugins module paths, module names or metric objects
+ * @returns {Array} metrics
+ */
+Registry.prototype.load = function (plugins) {
+  var that = this;
+  var metrics = [];
+  plugins.forEach(function (plugin) {
+    if (_.isString(plugin)) {
+      var modulePath = path.resolve(plugin);
+      plugin = require(fs.existsSync(modulePath) || fs.existsSync(modulePath + '.js') ? modulePath : plugin);
+    }
+    (Array.isArray(plugin) ? plugin : [plugin]).forEach(function (metric) {
+      metrics.push(that.register(metric));
+    });
+  });
+  return metrics;
+};
+
+/**
+ * Get registered metric
+ * @param {String} name
+ * @returns {Object|null}
+ */
+Registry.prototype.get = function (name) {
+  return _.has(this.metrics, name) ? this.metrics[name] : null;
+};
+
+/**
+ * Analyze parsed css data with registered metrics
+ * Error thrown by a metric is rethrown with the name of the metric.
+ * @param {Object} data which has `rules`, `selectors`, `declarations` and `cssString`
+ * @param {Object} options
+ * @returns {Object}
+ */
+Registry.prototype.analyze = function (data, options) {
+  var stats = {};
+  _.each(this.metrics, function (metric) {
+    if (options[metric.name] === false) {
+      return;
+    }
+    try {
+      stats[metric.name] = metric.analyze(data.rules, data.selectors, data.declarations, data.cssString, options);
+    } catch (error) {
+      throw new errors.PluginError('Plugin metric ' + metric.name + ' failed: ' + error.message, {
+        metric: metric.name
+      });
+    }
+  });
+  return stats;
+};
+
+module.exports = {
+  Registry: Registry
+};
@@ -9,30 +9,198 @@ var KEY_BYTE = [
 
 var KEY_PERCENT = [
   'simplicity',
-  'ratioOfDataUriSize'
+  'ratioOfDataUriSize',
+  'ratioOfUnusedSize'
 ];
 
+var KEY_IGNORE = [
+  'published',
+  'paths',
+  'path',
+  'sources',
+  'budget'
+];
+
+var LIST_FORMATTERS = {
+  specificityHistogram: function (item) {
+    return item.specificity + ': ' + item.count;
+  },
+  vendorPrefixes: function (item) {
+    return item.vendor + ': ' + item.properties + ' properties, ' + item.values + ' values, ' + item.selectors + ' selectors';
+  },
+  browserHackTypes: function (item) {
+    return item.hack + ': ' + item.count;
+  },
+  topDuplicateSelectors: function (item) {
+    return item.selector + ': ' + item.count + ' (' + item.locations.join(', ') + ')';
+  },
+  topDuplicateDeclarationBlocks: function (item) {
+    return item.selectors.join(' | ') + ': ' + item.count + ' (' + item.locations.join(', ') + ')';
+  },
+  topDuplicateProperties: function (item) {
+    return item.selector + ' { ' + item.property + ' } (' + item.location + ')';
+  },
+  fontSizeUnits: function (item) {
+    return item.unit + ': ' + item.values.join(' ');
+  },
+  fontSizeScale: function (item) {
+    return item.fontSize + ': ' + item.px + 'px';
+  },
+  colorUsage: function (item) {
+    return item.color + ': ' + item.count + (item.locations.length ? ' (' + item.locations.join(', ') + ')' : '');
+  },
+  nearDuplicateColors: function (item) {
+    return item.colors.join(', ') + ' (delta E: ' + item.deltaE + ')';
+  },
+  importGraph: function (item) {
+    return item.from + ' -> ' + item.to + (item.media ? ' ' + item.media : '') + ' (' + item.status + ')';
+  },
+  requestErrors: function (item) {
+    return item.url + ': ' + item.message;
+  },
+  inlineProperties: function (item) {
+    return item.property + ': ' + item.count;
+  },
+  pageStats: function (item) {
+    return item.url + ': ' + numeral(item.size).format('0.0b') + ' (' + item.stylesheets.length + ' stylesheets, ' + item.styleElements + ' style elements)';
+  },
+  unusedSelectors: function (item) {
+    return item.selector + ' (' + item.location + ')';
+  },
+  uniqueMediaQueries: function (item) {
+    return item.media + ': ' + item.rules + ' rules, ' + item.declarations + ' declarations';
+  }
+};
+
+var SPARKS = ['▁', '▂', '▃', '▄', '▅', '▆', '▇', '█'];
+
+var SPARKLINE_WIDTH = 40;
+
+/**
+ * Render values as sparkline.
+ * @param {array} [values] array of number. Required.
+ * @return {string} sparkline.
+ */
+function sparkline(values) {
+  var size = Math.ceil(values.length / SPARKLINE_WIDTH);
+  var buckets = [];
+  for (var i = 0; i < values.length; i += size) {
+    buckets.push(Math.max.apply(Math, values.slice(i, i + size)));
+  }
+  var max = Math.max.apply(Math, buckets) || 1;
+  return buckets.map(function (value) {
+    return SPARKS[Math.round(value / max * (SPARKS.length - 1))];
+  }).join('');
+}
+
+/**
+ * Get scores of specificities to render as sparkline.
+ * The base is larger than any component, so that `0,0,11` is never higher than `0,1,0`.
+ * @param {array} [specificities] array of `[a, b, c]`. Required.
+ * @return {array} array of number.
+ */
+function scoreSpecificities(specificities) {
+  var base = Math.max.apply(Math, [0].concat.apply([], specificities)) + 1;
+  return specificities.map(function (value) {
+    return (value[0] * base + value[1]) * base + value[2];
+  });
+}
+
+/**
+ * Get custom metric of plugin.
+ * @param {string} [key] metric name. Required.
+ * @param {object} [registry] registry of custom metrics. Optional.
+ * @return {object|null} metric.
+ */
+function getMetric(key, registry) {
+  return registry ? registry.get(key) : null;
+}
+
+/**
+ * Get format of metric.
+ * @param {string} [key] metric name. Required.
+ * @param {object} [registry] registry of custom metrics. Optional.
+ * @return {string|null} `byte`, `percent`, `list` or null.
+ */
+function getFormat(key, registry) {
+  if (KEY_BYTE.indexOf(key) !== -1) {
+    return 'byte';
+  } else if (KEY_PERCENT.indexOf(key) !== -1) {
+    return 'percent';
+  }
+  var metric = getMetric(key, registry);
+  return metric && metric.format || null;
+}
+
+/**
+ * Get label of metric.
+ * @param {string} [key] metric name. Required.
+ * @param {object} [registry] registry of custom metrics. Optional.
+ * @return {string} label.
+ */
+function getAlias(key, registry) {
+  var metric = getMetric(key, registry);
+  return aliases[key] || metric && metric.alias || key;
+}
+
+/**
+ * Format numeral value of metric.
+ * @param {string} [key] metric name. Required.
+ * @param {number} [value] metric value. Required.
+ * @param {object} [registry] registry of custom metrics. Optional.
+ * @return {string|number} formatted value.
+ */
+function formatNumber(key, value, registry) {
+  var format = getFormat(key, registry);
+  if (format === 'byte') {
+    return numeral(value).format('0.0b').replace(/\.0B/, 'B').replace(/0\.0/, '0');
+  } else if (format === 'percent') {
+    return numeral(value).format('0.0%');
+  }
+  return value;
+}
+
+/**
+ * Format list of object metric.
+ * @param {string} [key] metric name. Required.
+ * @param {array} [items] metric value. Required.
+ * @param {object} [registry] registry of custom metrics. Optional.
+ * @return {array|null} array of formatted item, or null if it is not a list of object.
+ */
+function formatList(key, items, registry) {
+  var metric = getMetric(key, registry);
+  if (LIST_FORMATTERS[key]) {
+    return items.map(LIST_FORMATTERS[key]);
+  } else if (metric && metric.formatItem && Array.isArray(items)) {
+    return items.map(metric.formatItem);
+  }
+  return null;
+}
+
 /**
  * Prettify StyleStats data.
  * @param {object} [result] StyleStats parse data. Required.
+ * @param {object} [registry] registry of custom metrics. Optional.
  * @return {array} prettified data.
  */
-function prettify(result) {
+function prettify(result, registry) {
   var collections = [];
   Object.keys(result).forEach(function (key) {
     var stats = {};
-    var prop = aliases[key];
+    var prop = getAlias(key, registry);
     if (key === 'propertiesCount') {
       var array = [];
       result[key].forEach(function (item) {
         array.push([item.property, item.count]);
       });
       stats[prop] = array.join('\n').replace(/\,/g, ': ');
-    } else if (KEY_BYTE.indexOf(key) !== -1) {
-      stats[prop] = numeral(result[key]).format('0.0b').replace(/\.0B/, 'B').replace(/0\.0/, '0');
-    } else if (KEY_PERCENT.indexOf(key) !== -1) {
-      stats[prop] = numeral(result[key]).format('0.0%');
-    } else if (key === 'published' || key === 'paths') {
+    } else if (formatList(key, result[key], registry)) {
+      stats[prop] = formatList(key, result[key], registry).join('\n') || 'N/A';
+    } else if (key === 'specificityGraph') {
+      stats[prop] = sparkline(scoreSpecificities(result[key]));
+    } else if (getFormat(key, registry) === 'byte' || getFormat(key, registry) === 'percent') {
+      stats[prop] = formatNumber(key, result[key], registry);
+    } else if (KEY_IGNORE.indexOf(key) !== -1) {
       return true;
     } else {
       stats[prop] = Array.isArray(result[key]) ? result[key].join('\n') : result[key];
@@ -45,4 +213,8 @@ function prettify(result) {
   return collections;
 }
 
+prettify.formatNumber = formatNumber;
+prettify.formatList = formatList;
+prettify.getAlias = getAlias;
+
 module.exports = prettify;
@@ -0,0 +1,166 @@
+// pseudo-classes which take specificity of the most specific argument
+var PSEUDO_MATCHES = ['not', 'is', 'matches', 'has', '-moz-any', '-webkit-any'];
+
+// pseudo-classes and pseudo-elements which add specificity of the argument to their own
+var PSEUDO_SCOPES = ['host', 'host-context', 'slotted'];
+
+// pseudo-elements written with single colon in CSS2
+var PSEUDO_ELEMENTS = ['before', 'after', 'first-line', 'first-letter'];
+
+var IDENTIFIER = /[\w\-\u00A0-\uFFFF]/;
+
+/**
+ * Get index after identifier
+ * @param {String} selector
+ * @param {Number} index
+ * @returns {Number}
+ */
+function skipIdentifier(selector, index) {
+  while (index < selector.length && IDENTIFIER.test(selector[index])) {
+    index += 1;
+  }
+  return index;
+}
+
+/**
+ * Get index after closing bracket which matches opening bracket at index
+ * @param {String} selector
+ * @param {Number} index
+ * @returns {Number}
+ */
+function skipBrackets(selector, index) {
+  var open = selector[index];
+  var close = open === '(' ? ')' : ']';
+  var depth = 0;
+  var quote = null;
+  for (; index < selector.length; index++) {
+    var char = selector[index];
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === open) {
+      depth += 1;
+    } else if (char === close) {
+      depth -= 1;
+      if (depth === 0) {
+        return index + 1;
+      }
+    }
+  }
+  return index;
+}
+
+/**
+ * Split selector list by top level commas
+ * @param {String} selectors
+ * @returns {Array}
+ */
+function splitSelectors(selectors) {
+  var result = [];
+  var start = 0;
+  var index = 0;
+  while (index < selectors.length) {
+    var char = selectors[index];
+    if (char === '(' || char === '[') {
+      index = skipBrackets(selectors, index);
+    } else {
+      if (char === ',') {
+        result.push(selectors.slice(start, index));
+        start = index + 1;
+      }
+      index += 1;
+    }
+  }
+  result.push(selectors.slice(start));
+  return result;
+}
+
+/**
+ * Add specificities
+ * @param {Array} a
+ * @param {Array} b
+ * @returns {Array}
+ */
+function add(a, b) {
+  return [a[0] + b[0], a[1] + b[1], a[2] + b[2]];
+}
+
+/**
+ * Compare specificities
+ * @param {Array} a
+ * @param {Array} b
+ * @returns {Number} positive if a is more specific than b
+ */
+function compare(a, b) {
+  return (a[0] - b[0]) || (a[1] - b[1]) || (a[2] - b[2]);
+}
+
+/**
+ * Calculate specificity of selector
+ * @param {String} selector
+ * @returns {Array} [a, b, c]
+ */
+function calculate(selector) {
+
+  // array to return
+  var specificity = [0, 0, 0];
+
+  // escaped characters are parts of identifier
+  selector = selector.replace(/\\[\s\S]/g, '_');
+
+  var index = 0;
+  while (index < selector.length) {
+    var char = selector[index];
+    if (char === '#') {
+      specificity[0] += 1;
+      index = skipIdentifier(selector, index + 1);
+    } else if (char === '.') {
+      specificity[1] += 1;
+      index = skipIdentifier(selector, index + 1);
+    } else if (char === '[') {
+      specificity[1] += 1;
+      index = skipBrackets(selector, index);
+    } else if (char === ':') {
+      var isElement = selector[index + 1] === ':';
+      var start = index + (isElement ? 2 : 1);
+      index = skipIdentifier(selector, start);
+      var name = selector.slice(start, index).toLowerCase();
+      var args = null;
+      if (selector[index] === '(') {
+        var end = skipBrackets(selector, index);
+        args = selector.slice(index + 1, end - 1);
+        index = end;
+      }
+      if (isElement || PSEUDO_ELEMENTS.indexOf(name) !== -1) {
+        specificity[2] += 1;
+      } else if (PSEUDO_MATCHES.indexOf(name) !== -1 && args !== null) {
+        var most = splitSelectors(args).map(calculate).sort(compare).pop();
+        specificity = add(specificity, most);
+      } else if (name !== 'where') {
+        specificity[1] += 1;
+      }
+      if (PSEUDO_SCOPES.indexOf(name) !== -1 && args !== null) {
+        specificity = add(specificity, calculate(args));
+      }
+    } else if (IDENTIFIER.test(char)) {
+      specificity[2] += 1;
+      index = skipIdentifier(selector, index);
+      // namespaced type selector such as `svg|a`
+      if (selector[index] === '|' && IDENTIFIER.test(selector[index + 1] || '')) {
+        index = skipIdentifier(selector, index + 1);
+      }
+    } else {
+      index += 1;
+    }
+  }
+
+  return specificity;
+}
+
+module.exports = {
+  calculate: calculate,
+  compare: compare
+};
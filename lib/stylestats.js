@@ -16,10 +16,99 @@ var glob = require('glob');
 var util = require('./util');
 var Parser = require('./parser');
 var Analyzer = require('./analyzer');
+var Budget = require('./budget');
+var compare = require('./compare');
+var unused = require('./unused');
+var plugin = require('./plugin');
+var errors = require('./errors');
+var history = require('./history');
+
+/**
+ * Get device profile selected in config
+ * @param {Object} options
+ * @returns {Object}
+ */
+function getProfile(options) {
+  if (!options.profile) {
+    return {};
+  }
+  if (!_.has(options.profiles || {}, options.profile)) {
+    throw new errors.ConfigError('Profile is not found: ' + options.profile, {
+      option: 'profile'
+    });
+  }
+  return options.profiles[options.profile];
+}
+
+/**
+ * Get request options with headers of device profile and config
+ * Headers of config take precedence over ones of profile.
+ * @param {Object} options
+ *   {String} profile name of device profile in `profiles`
+ *   {Object} profiles which have `userAgent`, `headers` and `cookies`
+ *   {Object} headers
+ *   {Object} requestOptions
+ * @returns {Object}
+ */
+function getRequestOptions(options) {
+  var profile = getProfile(options);
+  var requestOptions = _.extend({}, options.requestOptions);
+  requestOptions.headers = _.extend({}, profile.userAgent ? {
+    'User-Agent': profile.userAgent
+  } : {}, profile.headers, requestOptions.headers, options.headers);
+  return requestOptions;
+}
+
+/**
+ * Get cookies and basic auth of device profile and config
+ * They are sent only to the origins of given URLs, not to stylesheets on other hosts.
+ * @param {Object} options
+ *   {Object} cookies
+ *   {String|Object} auth `user:pass` or object which has `user` and `pass`
+ * @param {Array} urls
+ * @returns {Object|undefined} `origins`, `cookie` and `auth`
+ */
+function getCredentials(options, urls) {
+  var credentials = {
+    origins: _.uniq(urls.map(util.getOrigin))
+  };
+
+  var cookies = _.map(_.extend({}, getProfile(options).cookies, options.cookies), function (value, name) {
+    return name + '=' + value;
+  });
+  if (cookies.length) {
+    credentials.cookie = cookies.join('; ');
+  }
+
+  var auth = options.auth;
+  if (_.isString(auth)) {
+    var index = auth.indexOf(':');
+    auth = index === -1 ? {
+      user: auth,
+      pass: ''
+    } : {
+      user: auth.slice(0, index),
+      pass: auth.slice(index + 1)
+    };
+  }
+  if (auth) {
+    credentials.auth = {
+      user: auth.user,
+      pass: auth.pass,
+      sendImmediately: true
+    };
+  }
+
+  if (!cookies.length && !auth) {
+    return undefined;
+  }
+  return credentials;
+}
 
 /**
  * StyleStats class
- * @param {Array} args
+ * @param {Array} args file paths, URLs, css strings, buffers, readable streams
+ *   or in-memory assets which have `name` and `contents`
  * @param {String|Object} config
  * @constructor
  */
@@ -34,14 +123,21 @@ function StyleStats(args, config) {
   this.files = [];
   this.styles = [];
 
-  var EXTENSIONS = ['.less', '.styl', '.stylus', '.css'];
+  var EXTENSIONS = ['.scss', '.sass', '.less', '.styl', '.stylus', '.css'];
+  var HTML_EXTENSIONS = ['.html', '.htm'];
 
   // check arguments which is url or file path or other
   args.forEach(function (arg) {
-    if (util.isFile(arg) && EXTENSIONS.indexOf(path.extname(arg)) !== -1) {
+    if (Buffer.isBuffer(arg) || util.isStream(arg) || util.isAsset(arg)) {
+      that.styles.push(arg);
+    } else if (util.isFile(arg) && EXTENSIONS.concat(HTML_EXTENSIONS).indexOf(path.extname(arg)) !== -1) {
       that.files.push(arg);
     } else if (util.isDirectory(arg)) {
       fs.readdirSync(arg).filter(function (file) {
+        // Sass partials are compiled through their importers
+        if (/^_.+\.s[ac]ss$/.test(file)) {
+          return false;
+        }
         return (EXTENSIONS.indexOf(path.extname(file)) !== -1);
       }).forEach(function (file) {
         that.files.push(arg + file);
@@ -54,7 +150,11 @@ function StyleStats(args, config) {
       that.styles.push(arg);
     } else {
       glob.sync(arg).filter(function (file) {
-        return (path.extname(file) === '.css');
+        // Sass partials are compiled through their importers
+        if (/^_.+\.s[ac]ss$/.test(path.basename(file))) {
+          return false;
+        }
+        return (EXTENSIONS.indexOf(path.extname(file)) !== -1);
       }).forEach(function (file) {
         that.files.push(file);
       });
@@ -77,28 +177,131 @@ function StyleStats(args, config) {
   }
 
   this.options = _.extend({}, defaultOptions, customOptions);
+  this.options.profiles = _.extend({}, defaultOptions.profiles, customOptions.profiles);
+
+  // device profile and headers for remote requests, cookies and basic auth for the origins of urls
+  this.options.requestOptions = getRequestOptions(this.options);
+  this.options.credentials = getCredentials(this.options, this.urls);
+
+  // enable metrics which are referenced in budget
+  if (this.options.budget) {
+    this.budget = new Budget(this.options.budget);
+    this.budget.metrics().forEach(function (metric) {
+      // numeric options such as `propertiesCount` are enabled with their default
+      if (that.options[metric] === false) {
+        that.options[metric] = _.isNumber(defaultOptions[metric]) ? defaultOptions[metric] : true;
+      }
+    });
+  }
+
+  // custom metrics from plugins
+  this.registry = new plugin.Registry();
+  this.registry.load(this.options.plugins || []);
+
   this.parser = new Parser(this.urls, this.files, this.styles, this.options);
 }
 
+/**
+ * Analyze parsed css data
+ * @param {Object} data
+ * @param {Object} options
+ * @returns {Object}
+ */
+function analyze(data, options) {
+  var stats = new Analyzer(
+    data.rules,
+    data.selectors,
+    data.declarations,
+    data.cssString,
+    data.cssSize,
+    options,
+    data.atRules
+  ).analyze();
+  return stats;
+}
+
+/**
+ * Analyze selectors which are not used in html pages
+ * @param {Object} data
+ * @param {Object} options
+ * @returns {Object}
+ */
+function analyzeUnused(data, options) {
+  var result = unused.findUnused(data.sources, data.pages);
+  var stats = {};
+  if (options.totalUnusedSelectors) {
+    stats.totalUnusedSelectors = result.unusedSelectors.length;
+  }
+  if (options.unusedSelectors) {
+    stats.unusedSelectors = result.unusedSelectors;
+  }
+  if (options.unusedRules) {
+    stats.unusedRules = result.unusedRules;
+  }
+  if (options.ratioOfUnusedSize) {
+    stats.ratioOfUnusedSize = data.cssSize ? result.unusedSize / data.cssSize : 0;
+  }
+  return stats;
+}
+
+/**
+ * Analyze declarations in style attributes of html pages
+ * @param {Object} data
+ * @param {Object} options
+ * @returns {Object}
+ */
+function analyzeInlineStyles(data, options) {
+  var stats = {};
+  var declarations = data.inlineStyles.declarations;
+  if (options.inlineStyles) {
+    stats.inlineStyles = data.inlineStyles.elements;
+  }
+  if (options.inlineDeclarations) {
+    stats.inlineDeclarations = declarations.length;
+  }
+  if (options.inlineProperties) {
+    var counts = _.countBy(declarations, function (declaration) {
+      return declaration.property;
+    });
+    stats.inlineProperties = _.map(counts, function (count, property) {
+      return {
+        property: property,
+        count: count
+      };
+    }).sort(function (a, b) {
+      return b.count - a.count;
+    }).slice(0, options.inlineProperties);
+  }
+  return stats;
+}
+
+/**
+ * Analyze import graph of stylesheets
+ * @param {Object} data
+ * @param {Object} options
+ * @returns {Object}
+ */
+function analyzeImports(data, options) {
+  var stats = {};
+  if (options.importDepth) {
+    stats.importDepth = _.max(_.pluck(_.where(data.imports, {
+      status: 'loaded'
+    }), 'depth').concat(0));
+  }
+  if (options.importGraph) {
+    stats.importGraph = data.imports;
+  }
+  return stats;
+}
+
 /**
  * Parse css
  * @param {Function} callback
+ * @returns {Promise} if callback is not given
  */
 StyleStats.prototype.parse = function (callback) {
   var that = this;
-  this.parser.parse(function (error, data) {
-    if (error) {
-      callback(error, null);
-    }
-
-    var analyzedData = new Analyzer(
-      data.rules,
-      data.selectors,
-      data.declarations,
-      data.cssString,
-      data.cssSize,
-      that.options
-    ).analyze();
+  return this.parser.parse().then(function (data) {
 
     var stats = {};
     if (that.options.published) {
@@ -110,17 +313,59 @@ StyleStats.prototype.parse = function (callback) {
       Array.prototype.push.apply(stats.paths, that.urls);
     }
     if (that.options.stylesheets) {
-      stats.stylesheets = that.files.length + data.cssFiles - 0;
+      stats.stylesheets = that.files.length - that.parser.htmlFiles.length + data.cssFiles;
     }
     if (that.options.styleElements && data.styleElements) {
       stats.styleElements = data.styleElements;
     }
-    _.extend(stats, analyzedData);
-    if (that.options.mediaQueries) {
-      stats.mediaQueries = data.mediaQueries;
+    if (data.inlineStyles.elements) {
+      _.extend(stats, analyzeInlineStyles(data, that.options));
     }
-    callback(null, stats);
-  });
+    if (that.options.crawledPages && data.crawledPages.length) {
+      stats.crawledPages = data.crawledPages.length;
+    }
+    if (that.options.pageStats && data.crawledPages.length) {
+      stats.pageStats = data.crawledPages;
+    }
+    if (that.options.requestErrors && data.requestErrors.length) {
+      stats.requestErrors = data.requestErrors;
+    }
+    if (data.imports.length) {
+      _.extend(stats, analyzeImports(data, that.options));
+    }
+    _.extend(stats, analyze(data, that.options));
+    if (data.pages.length) {
+      _.extend(stats, analyzeUnused(data, that.options));
+    }
+    _.extend(stats, that.registry.analyze(data, that.options));
+    // stats of each source are the same as the total if there is only one
+    if (that.options.sources && data.sources.length > 1) {
+      stats.sources = data.sources.map(function (source) {
+        return _.extend({
+          path: source.path
+        }, analyze(source, that.options), that.registry.analyze(source, that.options));
+      });
+    }
+    if (that.budget) {
+      stats.budget = that.budget.evaluate(stats);
+    }
+    return stats;
+  }).nodeify(callback);
 };
 
+StyleStats.Budget = Budget;
+StyleStats.compare = compare;
+StyleStats.history = history;
+StyleStats.StyleStatsError = errors.StyleStatsError;
+StyleStats.NetworkError = errors.NetworkError;
+StyleStats.CompileError = errors.CompileError;
+StyleStats.CSSSyntaxError = errors.CSSSyntaxError;
+StyleStats.ConfigError = errors.ConfigError;
+StyleStats.PluginError = errors.PluginError;
+StyleStats.NoInputError = errors.NoInputError;
+StyleStats.BudgetError = errors.BudgetError;
+
 module.exports = StyleStats;
+
+// integration requires StyleStats
+StyleStats.Integration = require('./integration');
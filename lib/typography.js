@@ -0,0 +1,117 @@
+// font-size keywords in px when initial font size is 16px
+var FONT_SIZE_KEYWORDS = {
+  'xx-small': 9,
+  'x-small': 10,
+  'small': 13,
+  'medium': 16,
+  'large': 18,
+  'x-large': 24,
+  'xx-large': 32
+};
+
+// absolute length units in px
+var ABSOLUTE_UNITS = {
+  px: 1,
+  pt: 4 / 3,
+  pc: 16,
+  'in': 96,
+  cm: 96 / 2.54,
+  mm: 96 / 25.4
+};
+
+var FONT_WEIGHT_KEYWORDS = {
+  normal: '400',
+  bold: '700'
+};
+
+var FONT_SIZE = '(?:\\d*\\.?\\d+(?:[a-z]+|%)|xx-small|x-small|small|medium|large|x-large|xx-large|smaller|larger)';
+
+// [style variant weight stretch] size[/line-height] family
+var FONT_SHORTHAND = new RegExp('^((?:\\S+\\s+)*?)(' + FONT_SIZE + ')(?:\\s*\\/\\s*(\\S+))?\\s+(.+)$', 'i');
+
+/**
+ * Parse `font` shorthand
+ * @param {String} value such as `italic bold 12px/1.5 Georgia, serif`
+ * @returns {Object|null} null if it is system font or global keyword
+ */
+function parseFont(value) {
+
+  var matches = value.replace(/\!important/, '').trim().match(FONT_SHORTHAND);
+  if (!matches) {
+    return null;
+  }
+
+  var font = {
+    fontStyle: null,
+    fontVariant: null,
+    fontWeight: null,
+    fontSize: matches[2],
+    lineHeight: matches[3] || null,
+    fontFamily: matches[4].trim()
+  };
+
+  matches[1].trim().split(/\s+/).forEach(function (token) {
+    if (/^(italic|oblique)$/i.test(token)) {
+      font.fontStyle = token;
+    } else if (/^small-caps$/i.test(token)) {
+      font.fontVariant = token;
+    } else if (/^(bold|bolder|lighter|\d{3})$/i.test(token)) {
+      font.fontWeight = token;
+    }
+  });
+
+  return font;
+}
+
+/**
+ * Get unit of font-size such as `px`, `em` or `keyword`
+ * @param {String} value
+ * @returns {String}
+ */
+function getUnit(value) {
+  var matches = value.match(/^-?\d*\.?\d+([a-z]*|%)$/i);
+  if (!matches) {
+    return 'keyword';
+  }
+  return matches[1].toLowerCase() || 'unitless';
+}
+
+/**
+ * Convert font-size into px
+ * em and % are regarded as relative to root font size.
+ * @param {String} value
+ * @param {Number} rootFontSize
+ * @returns {Number|null} null if it can not be converted
+ */
+function toPx(value, rootFontSize) {
+  var unit = getUnit(value);
+  var number = parseFloat(value);
+  if (ABSOLUTE_UNITS[unit]) {
+    number = number * ABSOLUTE_UNITS[unit];
+  } else if (unit === 'em' || unit === 'rem') {
+    number = number * rootFontSize;
+  } else if (unit === '%') {
+    number = number * rootFontSize / 100;
+  } else if (unit === 'keyword' && FONT_SIZE_KEYWORDS[value.toLowerCase()]) {
+    number = FONT_SIZE_KEYWORDS[value.toLowerCase()] * rootFontSize / 16;
+  } else if (unit !== 'unitless' || number !== 0) {
+    return null;
+  }
+  return Math.round(number * 100) / 100;
+}
+
+/**
+ * Normalize font-weight keywords into number
+ * @param {String} value
+ * @returns {String}
+ */
+function normalizeFontWeight(value) {
+  return FONT_WEIGHT_KEYWORDS[value.toLowerCase()] || value;
+}
+
+module.exports = {
+  parseFont: parseFont,
+  getUnit: getUnit,
+  toPx: toPx,
+  normalizeFontWeight: normalizeFontWeight
+};
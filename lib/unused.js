@@ -0,0 +1,115 @@
+var cheerio = require('cheerio');
+var util = require('./util');
+
+// pseudo-classes and pseudo-elements with arguments up to one level of nesting
+var PSEUDO = /(^|[^\\]):{1,2}[\w\-]+(?:\((?:[^()]|\([^()]*\))*\))?/g;
+
+/**
+ * Strip pseudo-classes and pseudo-elements from selector
+ * so that selectors such as `a:hover` and `p::before` are matched as `a` and `p`
+ * @param {String} selector
+ * @returns {String}
+ */
+function stripPseudo(selector) {
+  var stripped = selector;
+  var previous;
+  // repeat because adjacent pseudo-classes share their boundary character
+  do {
+    previous = stripped;
+    stripped = stripped.replace(PSEUDO, '$1');
+  } while (stripped !== previous);
+  // selector which has nothing after combinator matches any element
+  if (/(^|[\s>+~])$/.test(stripped)) {
+    stripped += '*';
+  }
+  return stripped.trim();
+}
+
+/**
+ * Selector matches any element of documents or not
+ * Selector which can not be matched by cheerio is regarded as used.
+ * @param {String} selector
+ * @param {Array} documents loaded by cheerio
+ * @returns {Boolean}
+ */
+function isUsed(selector, documents) {
+  var stripped = stripPseudo(selector);
+  return documents.some(function ($) {
+    try {
+      return $(stripped).length > 0;
+    } catch (error) {
+      return true;
+    }
+  });
+}
+
+/**
+ * Get byte size of rule from its position in css string
+ * @param {Object} rule
+ * @param {Array} lines of css string
+ * @returns {Number}
+ */
+function getRuleSize(rule, lines) {
+  var start = rule.position.start;
+  var end = rule.position.end;
+  var text;
+  if (start.line === end.line) {
+    text = lines[start.line - 1].slice(start.column - 1, end.column - 1);
+  } else {
+    text = [lines[start.line - 1].slice(start.column - 1)]
+      .concat(lines.slice(start.line, end.line - 1))
+      .concat(lines[end.line - 1].slice(0, end.column - 1))
+      .join('\n');
+  }
+  return Buffer.byteLength(text, 'utf8');
+}
+
+/**
+ * Find selectors which are not used in html pages
+ * @param {Array} sources parsed css sources which have cssString and rules
+ * @param {Array} pages html strings
+ * @returns {
+ *   {Array} unusedSelectors,
+ *   {Number} unusedRules,
+ *   {Number} unusedSize
+ * }
+ */
+function findUnused(sources, pages) {
+
+  // object to return
+  var result = {
+    unusedSelectors: [],
+    unusedRules: 0,
+    unusedSize: 0
+  };
+
+  var documents = pages.map(function (html) {
+    return cheerio.load(html);
+  });
+
+  sources.forEach(function (source) {
+    var lines = source.cssString.split('\n');
+    source.rules.forEach(function (rule) {
+      var unused = rule.selectors.filter(function (selector) {
+        return !isUsed(selector, documents);
+      });
+      unused.forEach(function (selector) {
+        result.unusedSelectors.push({
+          selector: selector,
+          location: util.getLocation(rule)
+        });
+      });
+      if (unused.length === rule.selectors.length) {
+        result.unusedRules += 1;
+        result.unusedSize += getRuleSize(rule, lines);
+      }
+    });
+  });
+
+  return result;
+}
+
+module.exports = {
+  stripPseudo: stripPseudo,
+  findUnused: findUnused
+};
@@ -1,4 +1,5 @@
 var fs = require('fs');
+var url = require('url');
 var cssParse = require('css-parse');
 
 /**
@@ -40,8 +41,53 @@ function isCSS(str) {
   }
 }
 
+/**
+ * Argument is readable stream or not
+ * @param {Object} obj
+ * @returns {Boolean}
+ */
+function isStream(obj) {
+  return obj !== null && typeof obj === 'object' && typeof obj.pipe === 'function' && typeof obj.on === 'function';
+}
+
+/**
+ * Argument is in-memory asset such as `{name: 'app.css', contents: '...'}` or not
+ * @param {Object} obj
+ * @returns {Boolean}
+ */
+function isAsset(obj) {
+  return obj !== null && typeof obj === 'object' && typeof obj.name === 'string' && obj.contents !== undefined;
+}
+
+/**
+ * Get origin of URL such as `https://example.com:8080`
+ * @param {String} str
+ * @returns {String}
+ */
+function getOrigin(str) {
+  var parsed = url.parse(str);
+  return parsed.protocol + '//' + parsed.host;
+}
+
+/**
+ * Get location of parsed node such as `path/to/file.css:12:5`
+ * @param {Object} node which has `position` of css-parse
+ * @returns {String} empty if the position is unknown
+ */
+function getLocation(node) {
+  var position = node.position;
+  if (!position) {
+    return '';
+  }
+  return (position.source ? position.source + ':' : '') + position.start.line + ':' + position.start.column;
+}
+
 module.exports = {
   isFile: isFile,
   isDirectory: isDirectory,
-  isCSS: isCSS
+  isCSS: isCSS,
+  isStream: isStream,
+  isAsset: isAsset,
+  getOrigin: getOrigin,
+  getLocation: getLocation
 };
\ No newline at end of file
@@ -0,0 +1,69 @@
+var assert = require('assert');
+var stream = require('stream');
+var StyleStats = require('../lib/stylestats.js');
+
+describe('Promise API', function () {
+
+  it('should return promise if callback is not given', function (done) {
+    new StyleStats('test/fixture/test.css').parse().then(function (result) {
+      assert.equal(result.rules, 10);
+      done();
+    }).catch(done);
+  });
+
+  it('should reject with NoInputError if argument is invalid', function (done) {
+    new StyleStats('xxxxxxxxxxxx').parse().then(function () {
+      done(new Error('should be rejected'));
+    }, function (error) {
+      assert.ok(error instanceof StyleStats.NoInputError);
+      assert.ok(error instanceof StyleStats.StyleStatsError);
+      assert.ok(error instanceof Error);
+      assert.equal(error.name, 'NoInputError');
+      done();
+    }).catch(done);
+  });
+
+  it('should reject with CSSSyntaxError if css is invalid', function (done) {
+    new StyleStats(Buffer.from('.foo { color: red; } .bar { color: blue;')).parse().then(function () {
+      done(new Error('should be rejected'));
+    }, function (error) {
+      assert.ok(error instanceof StyleStats.CSSSyntaxError);
+      assert.equal(error.source, '<style:1>');
+      assert.equal(error.line, 1);
+      done();
+    }).catch(done);
+  });
+
+  it('should reject with CompileError if Sass is invalid', function (done) {
+    new StyleStats('test/fixture/prepros/invalid.scss').parse().then(function () {
+      done(new Error('should be rejected'));
+    }, function (error) {
+      assert.ok(error instanceof StyleStats.CompileError);
+      assert.equal(error.file, 'test/fixture/prepros/invalid.scss');
+      done();
+    }).catch(done);
+  });
+
+  it('should accept css buffer', function (done) {
+    new StyleStats(Buffer.from('.foo { color: red; }')).parse(function (error, result) {
+      if (error) {
+        throw error;
+      }
+      assert.equal(result.rules, 1);
+      done();
+    });
+  });
+
+  it('should accept readable stream of css', function (done) {
+    var readable = new stream.PassThrough();
+    new StyleStats([readable, '.baz { float: left; }']).parse().then(function (result) {
+      assert.equal(result.rules, 3);
+      assert.deepEqual(result.sources.map(function (source) {
+        return source.path;
+      }), ['<style:1>', '<style:2>']);
+      done();
+    }).catch(done);
+    readable.write('.foo { color: red; }\n');
+    readable.end('.bar { color: blue; }\n');
+  });
+});
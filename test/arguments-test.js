@@ -7,15 +7,11 @@ describe('Constructor Test', function () {
 
     it('should throw error', function(done) {
       var invalidArgs = new StyleStats('xxxxxxxxxxxx');
-      assert.throws(
-        invalidArgs.parse(function(error, invalidArgsResult) {
-          if (error) {
-            throw error;
-          }
-        }),
-        Error
-      );
-      done();
+      invalidArgs.parse(function(error, invalidArgsResult) {
+        assert.ok(error instanceof StyleStats.NoInputError);
+        assert.equal(invalidArgsResult, undefined);
+        done();
+      });
     });
   });
 
@@ -71,28 +67,18 @@ describe('Constructor Test', function () {
 
     it('should throw error if CSS of specified URL is invalid', function(done) {
       var invalidCSS = new StyleStats('http://t32k.me/static/assets/css/invalid.css');
-      assert.throws(
-        invalidCSS.parse(function(error, invalidCSSResult) {
-          if (error) {
-            throw error;
-          }
-        }),
-        Error
-      );
-      done();
+      invalidCSS.parse(function(error) {
+        assert.ok(error instanceof StyleStats.StyleStatsError);
+        done();
+      });
     });
 
     it('should throw error if invalid JSON URL is given', function(done) {
       var invalidJSON = new StyleStats('http://t32k.me/static/assets/json/foo.json');
-      assert.throws(
-        invalidJSON.parse(function(error, invalidJSONResult) {
-          if (error) {
-            throw error;
-          }
-        }),
-        Error
-      );
-      done();
+      invalidJSON.parse(function(error) {
+        assert.ok(error instanceof StyleStats.StyleStatsError);
+        done();
+      });
     });
 
     it('should return the number of stylesheets if site URL is given', function(done) {
@@ -140,6 +126,22 @@ describe('Constructor Test', function () {
         done();
       });
     });
+
+    it('should return stats of each source if multiple files are specified', function(done) {
+      var multipleStats = new StyleStats(['test/fixture/test.css', 'test/fixture/example.css']);
+      multipleStats.parse(function(error, multipleResult) {
+        if (error) {
+          throw error;
+        }
+        assert.equal(multipleResult.sources.length, 2);
+        assert.equal(multipleResult.sources[0].path, 'test/fixture/test.css');
+        assert.equal(multipleResult.sources[0].size, 753);
+        assert.equal(multipleResult.sources[1].path, 'test/fixture/example.css');
+        assert.equal(multipleResult.sources[1].rules, 7);
+        assert.equal(multipleResult.rules, 17);
+        done();
+      });
+    });
   });
 
   describe('CSS string', function() {
@@ -190,5 +192,48 @@ describe('Constructor Test', function () {
         done();
       });
     });
+
+    it('should return file size if SCSS files are specified', function(done) {
+      var scssStats = new StyleStats('test/fixture/prepros/foo.scss', {
+        sassOptions: {
+          includePaths: ['test/fixture/prepros/include']
+        }
+      });
+      scssStats.parse(function(error, scssResult) {
+        if (error) {
+          throw error;
+        }
+        assert.equal(scssResult.size, 227);
+        done();
+      });
+    });
+
+    it('should return file size if Sass files are specified', function(done) {
+      var sassStats = new StyleStats('test/fixture/prepros/foo.sass');
+      sassStats.parse(function(error, sassResult) {
+        if (error) {
+          throw error;
+        }
+        assert.equal(sassResult.size, 38);
+        done();
+      });
+    });
+
+    it('should collect preprocessor files except partials if glob is specified', function() {
+      var globStats = new StyleStats('test/fixture/prepros/*.s[ac]ss');
+      assert.deepEqual(globStats.files, [
+        'test/fixture/prepros/foo.sass',
+        'test/fixture/prepros/foo.scss',
+        'test/fixture/prepros/invalid.scss'
+      ]);
+    });
+
+    it('should return error with file and line if SCSS is invalid', function(done) {
+      var invalidStats = new StyleStats('test/fixture/prepros/invalid.scss');
+      invalidStats.parse(function(error) {
+        assert.equal(error.message, 'test/fixture/prepros/invalid.scss:2:10 Undefined variable.');
+        done();
+      });
+    });
   });
 });
@@ -0,0 +1,63 @@
+var assert = require('assert');
+var StyleStats = require('../lib/stylestats.js');
+
+describe('At-rule Statistics', function () {
+
+  var css = [
+    '@charset "UTF-8";',
+    '@import url("foo.css") screen;',
+    '@font-face { font-family: "Open Sans"; src: url(a.woff); }',
+    '@font-face { font-family: \'Open Sans\'; font-weight: bold; src: url(b.woff); }',
+    '@font-face { font-family: Icons; src: url(c.woff); }',
+    '@keyframes fade { from { opacity: 0; } to { opacity: 1; } }',
+    '@-webkit-keyframes spin { from { opacity: 0; } to { opacity: 1; } }',
+    '@keyframes unused { from { opacity: 0; } }',
+    '@page { margin: 1cm; }',
+    '@supports (display: grid) {',
+    '  .grid { display: grid; animation: fade 1s; }',
+    '  @media (min-width: 600px) { .grid { -webkit-animation-name: spin; } }',
+    '}',
+    '@media screen { @media (max-width: 600px) { .nested { color: red; } } }',
+    '@document url-prefix() { .doc { color: blue; } }'
+  ].join('\n');
+  var statsResult;
+
+  before(function (done) {
+    new StyleStats(css).parse(function (error, result) {
+      if (error) {
+        throw error;
+      }
+      statsResult = result;
+      done();
+    });
+  });
+
+  it('should return rules inside nested at-rules', function () {
+    assert.equal(statsResult.rules, 4);
+  });
+
+  it('should return nested media queries', function () {
+    assert.equal(statsResult.mediaQueries, 3);
+  });
+
+  it('should return font face rules and families', function () {
+    assert.equal(statsResult.fontFaceRules, 3);
+    assert.deepEqual(statsResult.fontFaceFamilies, ['Icons', 'Open Sans']);
+  });
+
+  it('should return keyframes rules, names and unused keyframes', function () {
+    assert.equal(statsResult.keyframesRules, 3);
+    assert.deepEqual(statsResult.keyframesNames, ['fade', 'spin', 'unused']);
+    assert.deepEqual(statsResult.unusedKeyframes, ['unused']);
+  });
+
+  it('should return import and supports rules', function () {
+    assert.equal(statsResult.importRules, 1);
+    assert.equal(statsResult.supportsRules, 1);
+  });
+
+  it('should return presence of page and charset rules', function () {
+    assert.equal(statsResult.hasPageRule, true);
+    assert.equal(statsResult.hasCharsetRule, true);
+  });
+});
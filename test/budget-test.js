@@ -0,0 +1,127 @@
+var assert = require('assert');
+var Budget = require('../lib/budget.js');
+var StyleStats = require('../lib/stylestats.js');
+
+describe('Budget', function () {
+
+  describe('evaluate()', function () {
+
+    it('should pass if all of metrics are within budget', function () {
+      var budget = new Budget(['size <= 1KB', 'importantKeywords < 20']);
+      var result = budget.evaluate({
+        size: 753,
+        importantKeywords: 1
+      });
+      assert.equal(result.passed, true);
+      assert.equal(result.results.length, 2);
+    });
+
+    it('should fail if any metric is over budget', function () {
+      var budget = new Budget({
+        size: '<= 150KB',
+        idSelectors: '== 0'
+      });
+      var result = budget.evaluate({
+        size: 1024,
+        idSelectors: 2
+      });
+      assert.equal(result.passed, false);
+      assert.equal(result.results[0].passed, true);
+      assert.equal(result.results[1].passed, false);
+      assert.equal(result.results[1].actual, 2);
+    });
+
+    it('should compare list metrics by their length', function () {
+      var budget = new Budget(['uniqueColor <= 2']);
+      var result = budget.evaluate({
+        uniqueColor: ['#333333', '#CCCCCC', 'RED']
+      });
+      assert.equal(result.passed, false);
+      assert.equal(result.results[0].actual, 3);
+    });
+
+    it('should parse percentage as ratio', function () {
+      var budget = new Budget(['simplicity >= 50%']);
+      var result = budget.evaluate({
+        simplicity: 0.6
+      });
+      assert.equal(result.passed, true);
+    });
+
+    it('should fail if metric is not found', function () {
+      var budget = new Budget(['foo < 1']);
+      var result = budget.evaluate({});
+      assert.equal(result.passed, false);
+      assert.equal(result.results[0].actual, null);
+    });
+
+    it('should regard value without operator as max', function () {
+      var budget = new Budget({ size: 100, rules: '10', selectors: '< 5' });
+      assert.deepEqual(budget.budgets.map(function (item) {
+        return item.expression;
+      }), ['size <= 100', 'rules <= 10', 'selectors < 5']);
+      assert.equal(budget.evaluate({ size: 100, rules: 11, selectors: 4 }).results[1].passed, false);
+    });
+
+    it('should throw error if expression is invalid', function () {
+      assert.throws(function () {
+        new Budget(['size is small']);
+      }, function (error) {
+        return error instanceof StyleStats.ConfigError && error.option === 'budget';
+      });
+    });
+
+    it('should throw error if operator is unknown', function () {
+      assert.throws(function () {
+        new Budget(['size <=> 1']);
+      }, /Budget is invalid: size <=> 1/);
+      assert.throws(function () {
+        new Budget({ size: '=< 1' });
+      }, StyleStats.ConfigError);
+    });
+
+    it('should throw error if unit is unknown', function () {
+      assert.throws(function () {
+        new Budget(['size <= 1XB']);
+      }, /Budget is invalid: size <= 1XB/);
+    });
+
+    it('should compare quoted value as string', function () {
+      var budget = new Budget(['mostIdentifier != ".foo"']);
+      assert.equal(budget.budgets[0].expected, '.foo');
+    });
+  });
+
+  describe('StyleStats', function () {
+
+    it('should return budget result and enable referenced metrics', function (done) {
+      var stats = new StyleStats('test/fixture/test.css', {
+        budget: ['gzippedSize < 1KB', 'idSelectors == 0']
+      });
+      stats.parse(function (error, result) {
+        if (error) {
+          throw error;
+        }
+        assert.equal(result.gzippedSize, 429);
+        assert.equal(result.budget.passed, false);
+        assert.equal(result.budget.results[0].passed, true);
+        assert.equal(result.budget.results[1].passed, false);
+        done();
+      });
+    });
+
+    it('should enable referenced numeric metrics with their default', function (done) {
+      new StyleStats('test/fixture/test.css', {
+        propertiesCount: false,
+        budget: { propertiesCount: 20 }
+      }).parse(function (error, result) {
+        if (error) {
+          throw error;
+        }
+        assert.equal(result.propertiesCount.length, 10);
+        assert.equal(result.budget.passed, true);
+        done();
+      });
+    });
+  });
+});
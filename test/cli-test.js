@@ -0,0 +1,120 @@
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var assert = require('assert');
+var childProcess = require('child_process');
+
+describe('CLI', function () {
+
+  var dir = path.join(os.tmpdir(), 'stylestats-cli-test');
+
+  /**
+   * Run CLI with arguments
+   * @param {Array} args
+   * @param {Function} callback called with exit code, stdout and stderr
+   */
+  function run(args, callback) {
+    var argv = ['-r', './test/fixture/cli/tty.js', 'bin/cli.js'].concat(args);
+    childProcess.execFile(process.execPath, argv, function (error, stdout, stderr) {
+      callback(error ? error.code : 0, stdout, stderr);
+    });
+  }
+
+  beforeEach(function () {
+    fs.rmSync(dir, {
+      recursive: true,
+      force: true
+    });
+  });
+
+  it('should write report of each format into output directory', function (done) {
+    run(['test/fixture/test.css', '-t', 'json,html', '--output-dir', dir], function (code, stdout, stderr) {
+      assert.equal(code, 0);
+      assert.equal(stdout, '');
+      assert.deepEqual(fs.readdirSync(dir).sort(), ['test.html', 'test.json']);
+      assert.equal(JSON.parse(fs.readFileSync(path.join(dir, 'test.json'), 'utf8')).rules, 10);
+      assert.ok(/^<!DOCTYPE html>/.test(fs.readFileSync(path.join(dir, 'test.html'), 'utf8')));
+      assert.ok(stderr.indexOf(path.join(dir, 'test.json')) !== -1);
+      done();
+    });
+  });
+
+  it('should write report into output file', function (done) {
+    var file = path.join(dir, 'nested', 'report.json');
+    run(['test/fixture/test.css', '-t', 'json', '-o', file], function (code, stdout) {
+      assert.equal(code, 0);
+      assert.equal(stdout, '');
+      assert.equal(JSON.parse(fs.readFileSync(file, 'utf8')).rules, 10);
+      done();
+    });
+  });
+
+  it('should write table without colors', function (done) {
+    var file = path.join(dir, 'report.txt');
+    run(['test/fixture/test.css', '-o', file], function (code) {
+      assert.equal(code, 0);
+      var report = fs.readFileSync(file, 'utf8');
+      assert.ok(/^ StyleStats!\n/.test(report));
+      assert.equal(report.indexOf('\u001b['), -1);
+      done();
+    });
+  });
+
+  it('should fail if output file is given with several formats', function (done) {
+    run(['test/fixture/test.css', '-t', 'json,html', '-o', path.join(dir, 'report')], function (code, stdout, stderr) {
+      assert.equal(code, 1);
+      assert.ok(/--output accepts only one format/.test(stderr));
+      assert.equal(fs.existsSync(dir), false);
+      done();
+    });
+  });
+
+  it('should fail if several formats are given without output directory', function (done) {
+    run(['test/fixture/test.css', '-t', 'json,html'], function (code, stdout, stderr) {
+      assert.equal(code, 1);
+      assert.equal(stdout, '');
+      assert.ok(/Several formats require --output-dir/.test(stderr));
+      assert.equal(fs.existsSync('test.json'), false);
+      done();
+    });
+  });
+
+  it('should fail if budget file is not found', function (done) {
+    run(['test/fixture/test.css', '-b', path.join(dir, 'nope.json')], function (code, stdout, stderr) {
+      assert.equal(code, 1);
+      assert.equal(stdout, '');
+      assert.ok(/Budget file is not found/.test(stderr));
+      done();
+    });
+  });
+
+  it('should fail if budget file is invalid JSON', function (done) {
+    var file = path.join(dir, 'budget.json');
+    fs.mkdirSync(dir);
+    fs.writeFileSync(file, '{ size: 100 }');
+    run(['test/fixture/test.css', '-b', file], function (code, stdout, stderr) {
+      assert.equal(code, 1);
+      assert.ok(/Budget file is invalid: .*budget\.json \(/.test(stderr));
+      done();
+    });
+  });
+
+  it('should fail if baseline to compare with is not found', function (done) {
+    run(['test/fixture/test.css', '--compare', path.join(dir, 'missing.css')], function (code, stdout) {
+      assert.equal(code, 1);
+      assert.ok(/\[ERROR\] Argument is invalid/.test(stdout));
+      done();
+    });
+  });
+
+  it('should fail if baseline file is invalid JSON', function (done) {
+    var file = path.join(dir, 'baseline.json');
+    fs.mkdirSync(dir);
+    fs.writeFileSync(file, '{ rules: 10 }');
+    run(['test/fixture/test.css', '--compare', file], function (code, stdout) {
+      assert.equal(code, 1);
+      assert.ok(/\[ERROR\] Baseline is invalid: .*baseline\.json \(/.test(stdout));
+      done();
+    });
+  });
+});
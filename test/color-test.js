@@ -0,0 +1,121 @@
+var assert = require('assert');
+var color = require('../lib/color.js');
+var StyleStats = require('../lib/stylestats.js');
+
+describe('Color', function () {
+
+  describe('normalize()', function () {
+
+    it('should normalize all of color syntaxes into the same form', function () {
+      ['red', 'RED', '#f00', '#F00F', '#ff0000', '#ff0000ff', 'rgb(255,0,0)', 'rgba(255, 0, 0, 1)',
+        'rgb(100%, 0%, 0%)', 'rgb(255 0 0)', 'hsl(0, 100%, 50%)', 'hsla(360, 100%, 50%, 1)'].forEach(function (value) {
+        assert.equal(color.normalize(value), '#FF0000', value);
+      });
+    });
+
+    it('should keep alpha of translucent color', function () {
+      assert.equal(color.normalize('rgba(0, 0, 0, .2)'), '#00000033');
+      assert.equal(color.normalize('rgb(0 0 0 / 20%)'), '#00000033');
+      assert.equal(color.normalize('#0003'), '#00000033');
+    });
+
+    it('should return null if it is not a color', function () {
+      assert.equal(color.normalize('inherit'), null);
+      assert.equal(color.normalize('rgb(var(--red), 0, 0)'), null);
+    });
+  });
+
+  describe('extract()', function () {
+
+    it('should extract colors from color-bearing properties', function () {
+      assert.deepEqual(color.extract({
+        property: 'background',
+        value: 'url(red.png) linear-gradient(#fff, rgba(0, 0, 0, .5)) no-repeat'
+      }), ['#FFFFFF', '#00000080']);
+      assert.deepEqual(color.extract({
+        property: 'border-top',
+        value: '1px solid red'
+      }), ['#FF0000']);
+    });
+
+    it('should ignore other properties', function () {
+      assert.deepEqual(color.extract({
+        property: 'font-family',
+        value: 'Tomato, sans-serif'
+      }), []);
+      assert.deepEqual(color.extract({
+        property: 'border-radius',
+        value: '4px'
+      }), []);
+      assert.deepEqual(color.extract({
+        property: 'mix-blend-mode',
+        value: 'color'
+      }), []);
+    });
+
+    it('should extract colors from vendor prefixed properties', function () {
+      assert.deepEqual(color.extract({
+        property: '-webkit-box-shadow',
+        value: '0 0 1px black'
+      }), ['#000000']);
+    });
+
+    it('should ignore custom properties and names in identifiers', function () {
+      assert.deepEqual(color.extract({
+        property: 'color',
+        value: 'var(--brand-red)'
+      }), []);
+      assert.deepEqual(color.extract({
+        property: 'background',
+        value: 'var(--color-white, var(--blue)) url(red.png)'
+      }), []);
+      assert.deepEqual(color.extract({
+        property: 'border',
+        value: '1px solid var(--border-gray) '
+      }), []);
+      assert.deepEqual(color.extract({
+        property: 'border-color',
+        value: 'red-ish blue'
+      }), ['#0000FF']);
+    });
+  });
+
+  describe('deltaE()', function () {
+
+    it('should return 0 for the same color', function () {
+      assert.equal(color.deltaE('#FF0000', '#FF0000'), 0);
+    });
+
+    it('should return small difference for similar colors', function () {
+      assert.ok(color.deltaE('#333333', '#343434') < 1);
+      assert.ok(color.deltaE('#000000', '#FFFFFF') > 99);
+    });
+  });
+
+  describe('StyleStats', function () {
+
+    it('should return near duplicate colors', function (done) {
+      var css = '.a { color: #333; } .b { background-color: #343434; } .c { border-color: rgb(51, 51, 51); }';
+      new StyleStats(css).parse(function (error, result) {
+        if (error) {
+          throw error;
+        }
+        assert.deepEqual(result.uniqueColor, ['#333333', '#343434']);
+        assert.deepEqual(result.colorUsage[0], { color: '#333333', count: 2, locations: ['<style:1>:1:6', '<style:1>:1:60'] });
+        assert.deepEqual(result.nearDuplicateColors[0].colors, ['#333333', '#343434']);
+        done();
+      });
+    });
+
+    it('should not count custom properties as colors', function (done) {
+      var css = ':root { --brand-red: #c00; } .a { color: var(--brand-red); background: var(--color-white); }';
+      new StyleStats(css).parse(function (error, result) {
+        if (error) {
+          throw error;
+        }
+        assert.deepEqual(result.uniqueColor, []);
+        done();
+      });
+    });
+  });
+});
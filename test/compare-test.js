@@ -0,0 +1,68 @@
+var assert = require('assert');
+var compare = require('../lib/compare.js');
+var Format = require('../lib/format.js');
+
+describe('Compare', function () {
+
+  var before = {
+    published: '2014-03-23T15:54:39.825Z',
+    size: 1000,
+    rules: 10,
+    mostIdentifierSelector: '.foo .bar',
+    uniqueColor: ['#333333', '#CCCCCC'],
+    propertiesCount: [
+      { property: 'color', count: 4 },
+      { property: 'margin', count: 2 }
+    ]
+  };
+  var after = {
+    published: '2014-03-24T15:54:39.825Z',
+    size: 1500,
+    rules: 10,
+    mostIdentifierSelector: '.foo .bar .baz',
+    uniqueColor: ['#333333', '#FF0000', 'RED'],
+    propertiesCount: [
+      { property: 'color', count: 6 },
+      { property: 'float', count: 1 }
+    ]
+  };
+  var diff = compare(before, after);
+
+  it('should return delta and percent of numeral metrics', function () {
+    assert.equal(diff.size.before, 1000);
+    assert.equal(diff.size.after, 1500);
+    assert.equal(diff.size.delta, 500);
+    assert.equal(diff.size.percent, 0.5);
+    assert.equal(diff.rules.delta, 0);
+  });
+
+  it('should return added and removed entries of list metrics', function () {
+    assert.deepEqual(diff.uniqueColor.added, ['#FF0000', 'RED']);
+    assert.deepEqual(diff.uniqueColor.removed, ['#CCCCCC']);
+    assert.equal(diff.uniqueColor.delta, 1);
+  });
+
+  it('should return added, removed and changed properties', function () {
+    assert.deepEqual(diff.propertiesCount.added, ['float']);
+    assert.deepEqual(diff.propertiesCount.removed, ['margin']);
+    assert.equal(diff.propertiesCount.changed[0].property, 'color');
+    assert.equal(diff.propertiesCount.changed[0].delta, 2);
+  });
+
+  it('should return changed string metrics', function () {
+    assert.equal(diff.mostIdentifierSelector.before, '.foo .bar');
+    assert.equal(diff.mostIdentifierSelector.after, '.foo .bar .baz');
+  });
+
+  it('should ignore published date', function () {
+    assert.equal(diff.published, undefined);
+  });
+
+  it('should render delta in table', function (done) {
+    new Format(diff).toDiffTable(function (table) {
+      assert.notEqual(table.indexOf('+500B (+50.0%)'), -1);
+      assert.notEqual(table.indexOf('+ RED'), -1);
+      done();
+    });
+  });
+});
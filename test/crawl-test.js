@@ -0,0 +1,156 @@
+var assert = require('assert');
+var StyleStats = require('../lib/stylestats.js');
+var createServer = require('./fixture/server.js');
+
+describe('Crawl Mode', function () {
+
+  var baseCSS = 'body { margin: 0; }\n';
+  var aboutCSS = '.about { color: red; }\n';
+  var style = '.top { padding: 0; }';
+
+  var server;
+  var baseUrl;
+
+  before(function (done) {
+    server = createServer({
+      '/': {
+        body: '<html><head>' +
+          '<link rel="stylesheet" href="/base.css">' +
+          '<style>' + style + '</style>' +
+          '</head><body>' +
+          '<a href="/about">About</a>' +
+          '<a href="/about#team">Team</a>' +
+          '<a href="/blog/">Blog</a>' +
+          '<a href="/missing">Missing</a>' +
+          '<a href="/base.css">CSS</a>' +
+          '<a href="http://example.com/">External</a>' +
+          '</body></html>'
+      },
+      '/about': {
+        body: '<html><head>' +
+          '<link rel="stylesheet" href="/base.css">' +
+          '<link rel="stylesheet" href="about.css">' +
+          '</head><body><a href="/">Home</a></body></html>'
+      },
+      '/blog/': {
+        body: '<html><head><link rel="stylesheet" href="../base.css"></head>' +
+          '<body><a href="post">Post</a></body></html>'
+      },
+      '/blog/post': {
+        body: '<html><head><link rel="stylesheet" href="/base.css"></head><body></body></html>'
+      },
+      '/base.css': {
+        type: 'text/css',
+        body: baseCSS
+      },
+      '/about.css': {
+        type: 'text/css',
+        body: aboutCSS
+      }
+    }, function (url) {
+      baseUrl = url;
+      done();
+    });
+  });
+
+  after(function (done) {
+    server.close(done);
+  });
+
+  it('should crawl same-origin pages and de-duplicate stylesheets', function (done) {
+    new StyleStats(baseUrl + '/', {
+      crawl: true
+    }).parse(function (error, result) {
+      if (error) {
+        throw error;
+      }
+      assert.equal(result.crawledPages, 3);
+      assert.equal(result.stylesheets, 2);
+      assert.equal(result.styleElements, 1);
+      assert.equal(result.rules, 3);
+      assert.equal(result.size, Buffer.byteLength(baseCSS + aboutCSS + style));
+      assert.deepEqual(result.pageStats, [
+        {
+          url: baseUrl + '/',
+          stylesheets: [baseUrl + '/base.css'],
+          styleElements: 1,
+          size: Buffer.byteLength(style + baseCSS)
+        },
+        {
+          url: baseUrl + '/about',
+          stylesheets: [baseUrl + '/base.css', baseUrl + '/about.css'],
+          styleElements: 0,
+          size: Buffer.byteLength(baseCSS + aboutCSS)
+        },
+        {
+          url: baseUrl + '/blog/',
+          stylesheets: [baseUrl + '/base.css'],
+          styleElements: 0,
+          size: Buffer.byteLength(baseCSS)
+        }
+      ]);
+      done();
+    });
+  });
+
+  it('should follow links up to the depth and the limit', function (done) {
+    new StyleStats(baseUrl + '/', {
+      crawl: true,
+      crawlDepth: 2
+    }).parse(function (error, result) {
+      if (error) {
+        throw error;
+      }
+      assert.equal(result.crawledPages, 4);
+      new StyleStats(baseUrl + '/', {
+        crawl: true,
+        crawlDepth: 2,
+        crawlLimit: 2
+      }).parse(function (error, result) {
+        if (error) {
+          throw error;
+        }
+        assert.equal(result.crawledPages, 2);
+        assert.equal(result.stylesheets, 2);
+        done();
+      });
+    });
+  });
+
+  it('should report broken links', function (done) {
+    new StyleStats(baseUrl + '/', {
+      crawl: true
+    }).parse(function (error, result) {
+      if (error) {
+        throw error;
+      }
+      assert.deepEqual(result.requestErrors, [
+        { url: baseUrl + '/missing', message: 'Status code is 404', statusCode: 404, code: null }
+      ]);
+      done();
+    });
+  });
+
+  it('should fail when the start page is not found if failOnRequestError is true', function (done) {
+    new StyleStats(baseUrl + '/missing', {
+      crawl: true,
+      failOnRequestError: true
+    }).parse(function (error) {
+      assert.ok(error instanceof StyleStats.NetworkError);
+      assert.equal(error.statusCode, 404);
+      done();
+    });
+  });
+
+  it('should not report page stats without crawl mode', function (done) {
+    new StyleStats(baseUrl + '/about').parse(function (error, result) {
+      if (error) {
+        throw error;
+      }
+      assert.equal(result.stylesheets, 2);
+      assert.equal(result.crawledPages, undefined);
+      assert.equal(result.pageStats, undefined);
+      done();
+    });
+  });
+});
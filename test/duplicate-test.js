@@ -0,0 +1,76 @@
+var assert = require('assert');
+var StyleStats = require('../lib/stylestats.js');
+
+describe('Duplicate Statistics', function () {
+
+  var css = [
+    '.foo { color: red; margin: 0; }',
+    '.bar { margin: 0; color: red; }',
+    '.foo { padding: 0; }',
+    '.baz { display: -webkit-box; display: flex; color: #fff; color: rgba(255, 255, 255, .5); width: 10px; width: 20px; }',
+    '@media (max-width: 600px) { .foo { padding: 10px; } }'
+  ].join('\n');
+  var statsResult;
+
+  before(function (done) {
+    new StyleStats(css).parse(function (error, result) {
+      if (error) {
+        throw error;
+      }
+      statsResult = result;
+      done();
+    });
+  });
+
+  it('should return selectors defined in multiple rules', function () {
+    assert.equal(statsResult.duplicateSelectors, 1);
+    assert.deepEqual(statsResult.topDuplicateSelectors[0], {
+      selector: '.foo',
+      count: 2,
+      locations: ['<style:1>:1:1', '<style:1>:3:1']
+    });
+  });
+
+  it('should return declaration blocks repeated under different selectors', function () {
+    assert.equal(statsResult.duplicateDeclarationBlocks, 1);
+    assert.deepEqual(statsResult.topDuplicateDeclarationBlocks[0].selectors, ['.foo', '.bar']);
+    assert.equal(statsResult.topDuplicateDeclarationBlocks[0].declarations, 'color: red; margin: 0');
+  });
+
+  it('should return properties declared twice in the same rule except fallbacks', function () {
+    assert.equal(statsResult.duplicateProperties, 1);
+    assert.deepEqual(statsResult.topDuplicateProperties[0], {
+      selector: '.baz',
+      property: 'width',
+      location: '<style:1>:4:103'
+    });
+  });
+
+  it('should not regard fallback chain of vendor prefixed values as duplicates', function (done) {
+    new StyleStats('.a { display: -webkit-box; display: -ms-flexbox; display: flex; }').parse(function (error, result) {
+      if (error) {
+        throw error;
+      }
+      assert.equal(result.duplicateProperties, 0);
+      assert.deepEqual(result.topDuplicateProperties, []);
+      done();
+    });
+  });
+
+  it('should not regard reversed or separated declarations as fallbacks', function (done) {
+    new StyleStats([
+      '.a { display: flex; display: -webkit-box; }',
+      '.b { color: rgba(0, 0, 0, .5); color: #000; }',
+      '.c { color: #000; margin: 0; color: rgba(0, 0, 0, .5); }'
+    ].join('\n')).parse(function (error, result) {
+      if (error) {
+        throw error;
+      }
+      assert.equal(result.duplicateProperties, 3);
+      assert.deepEqual(result.topDuplicateProperties.map(function (item) {
+        return item.selector;
+      }), ['.a', '.b', '.c']);
+      done();
+    });
+  });
+});
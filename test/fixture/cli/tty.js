@@ -0,0 +1,3 @@
+// pretend stdout is a color terminal, which is preloaded with `node -r`
+process.stdout.isTTY = true;
+process.env.TERM = 'xterm';
@@ -0,0 +1,26 @@
+// block, block__element and block--modifier
+var BEM = /^[a-z][a-z0-9]*(?:-[a-z0-9]+)*(?:__[a-z0-9]+(?:-[a-z0-9]+)*)?(?:--[a-z0-9]+(?:-[a-z0-9]+)*)?$/;
+
+module.exports = [{
+  name: 'bemViolations',
+  alias: 'BEM Violations',
+  format: 'list',
+  analyze: function (rules, selectors) {
+    var violations = [];
+    selectors.forEach(function (selector) {
+      (selector.match(/\.[^\s.#:\[>+~,]+/g) || []).forEach(function (className) {
+        if (!BEM.test(className.slice(1)) && violations.indexOf(className) === -1) {
+          violations.push(className);
+        }
+      });
+    });
+    return violations;
+  }
+}, {
+  name: 'commentSize',
+  alias: 'Comment Size',
+  format: 'byte',
+  analyze: function (rules, selectors, declarations, cssString) {
+    return (cssString.match(/\/\*[\s\S]*?\*\//g) || []).join('').length;
+  }
+}];
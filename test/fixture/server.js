@@ -0,0 +1,37 @@
+var http = require('http');
+
+/**
+ * Create local HTTP server for tests of remote files
+ * @param {Object} routes keyed by path, which are `status`, `type`, `headers` and `body` or function(req, res)
+ * @param {Function} callback called with base url such as `http://127.0.0.1:8080`
+ * @returns {Object} server
+ */
+function createServer(routes, callback) {
+  var server = http.createServer(function (req, res) {
+    var route = routes[req.url];
+    if (typeof route === 'function') {
+      route(req, res);
+      return;
+    }
+    if (!route) {
+      route = {
+        status: 404,
+        body: 'Not Found'
+      };
+    }
+    var headers = {
+      'Content-Type': route.type || 'text/html'
+    };
+    Object.keys(route.headers || {}).forEach(function (name) {
+      headers[name] = route.headers[name];
+    });
+    res.writeHead(route.status || 200, headers);
+    res.end(route.body);
+  });
+  server.listen(0, '127.0.0.1', function () {
+    callback('http://127.0.0.1:' + server.address().port);
+  });
+  return server;
+}
+
+module.exports = createServer;
@@ -0,0 +1,109 @@
+var assert = require('assert');
+var Format = require('../lib/format.js');
+
+describe('Format', function () {
+
+  describe('toHTML()', function () {
+
+    var data = {
+      published: new Date('2014-01-01T00:00:00Z'),
+      paths: ['test/fixture/test.css'],
+      size: 2048,
+      rules: 10,
+      uniqueColor: ['#333333', '#FF000080'],
+      uniqueFontFamily: ['Georgia, serif'],
+      fontSizeScale: [{ fontSize: '12px', px: 12 }, { fontSize: '1.5em', px: 24 }],
+      uniqueMediaQueries: [],
+      topDuplicateSelectors: [],
+      unusedKeyframes: ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j', 'k'],
+      propertiesCount: [{ property: 'color', count: 5 }, { property: 'float', count: 2 }],
+      mostIdentifierSelector: '.foo > <script>'
+    };
+
+    it('should render standalone HTML document', function (done) {
+      new Format(data).toHTML(function (html) {
+        assert.ok(/^<!DOCTYPE html>/.test(html));
+        assert.ok(html.indexOf('<style>') !== -1);
+        assert.ok(html.indexOf('<script>') !== -1);
+        assert.ok(/class="c-card-label">Size<\/div>\s*<div class="c-card-value">2.0KB</.test(html));
+        done();
+      });
+    });
+
+    it('should render colors, fonts, scale, properties and long lists', function (done) {
+      new Format(data).toHTML(function (html) {
+        assert.ok(html.indexOf('style="background-color: #FF000080"') !== -1);
+        assert.ok(html.indexOf('style="font-family: Georgia, serif"') !== -1);
+        assert.ok(html.indexOf('1.5em (24px)</span><span class="c-scale-bar" style="width: 100%"') !== -1);
+        assert.ok(html.indexOf('<tr><td>color</td><td>5</td></tr>') !== -1);
+        assert.ok(html.indexOf('<summary>11 items</summary>') !== -1);
+        assert.ok(html.indexOf('.foo &gt; &lt;script&gt;') !== -1);
+        done();
+      });
+    });
+  });
+
+  describe('toDiffHTML()', function () {
+
+    it('should escape added and removed items', function (done) {
+      new Format({
+        uniqueFontFamily: { before: 1, after: 2, delta: 1, added: ['<b>'], removed: [] }
+      }).toDiffHTML(function (html) {
+        assert.ok(html.indexOf('+ &lt;b&gt;</td>') !== -1);
+        assert.equal(html.indexOf('<b>'), -1);
+        done();
+      });
+    });
+  });
+
+  describe('toMarkdown()', function () {
+
+    it('should render GitHub flavored markdown table', function (done) {
+      new Format({
+        size: 2048,
+        uniqueFontFamily: ['Georgia, serif', 'a|b']
+      }).toMarkdown(function (markdown) {
+        assert.equal(markdown, [
+          '## StyleStats',
+          '',
+          '| Metrics | Result |',
+          '| --- | --- |',
+          '| Size | 2.0KB |',
+          '| Unique Font Family | Georgia, serif<br>a\\|b |',
+          ''
+        ].join('\n'));
+        done();
+      });
+    });
+
+    it('should render deltas of comparison', function (done) {
+      new Format({
+        rules: { before: 10, after: 12, delta: 2, percent: 0.2 }
+      }).toDiffMarkdown(function (markdown) {
+        assert.ok(markdown.indexOf('| Metrics | Before | After | Delta |') !== -1);
+        assert.ok(markdown.indexOf('| Rules | 10 | 12 | +2 (+20.0%) |') !== -1);
+        done();
+      });
+    });
+  });
+
+  describe('toJUnit()', function () {
+
+    it('should render each budget result as testcase', function (done) {
+      new Format({
+        budget: {
+          passed: false,
+          results: [
+            { expression: 'size <= 1KB', metric: 'size', operator: '<=', expected: 1024, actual: 2048, passed: false },
+            { expression: 'rules < 20', metric: 'rules', operator: '<', expected: 20, actual: 10, passed: true }
+          ]
+        }
+      }).toJUnit(function (xml) {
+        assert.ok(xml.indexOf('<testsuites name="StyleStats" tests="2" failures="1">') !== -1);
+        assert.ok(xml.indexOf('<testcase classname="stylestats" name="rules &lt; 20"/>') !== -1);
+        assert.ok(xml.indexOf('<failure message="size is 2048, expected &lt;= 1024"/>') !== -1);
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,89 @@
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var assert = require('assert');
+var history = require('../lib/history.js');
+var Format = require('../lib/format.js');
+
+describe('History', function () {
+
+  var file = path.join(os.tmpdir(), 'stylestats-history-test.ndjson');
+
+  beforeEach(function () {
+    if (fs.existsSync(file)) {
+      fs.unlinkSync(file);
+    }
+  });
+
+  it('should append stats with timestamp and label', function (done) {
+    history.save(file, { size: 100, rules: 10, published: new Date('2014-01-01T00:00:00Z') }, 'abc123', function (error) {
+      assert.equal(error, null);
+      history.save(file, { size: 120, rules: 12, sources: [] }, null, function () {
+        var lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+        assert.equal(lines.length, 2);
+        assert.deepEqual(JSON.parse(lines[0]), {
+          timestamp: '2014-01-01T00:00:00.000Z',
+          label: 'abc123',
+          stats: { size: 100, rules: 10 }
+        });
+        assert.deepEqual(JSON.parse(lines[1]).stats, { size: 120, rules: 12 });
+        done();
+      });
+    });
+  });
+
+  it('should load entries of JSON array in order of timestamp', function (done) {
+    fs.writeFileSync(file, JSON.stringify([
+      { timestamp: '2014-01-02T00:00:00.000Z', label: 'b', stats: { size: 120 } },
+      { timestamp: '2014-01-01T00:00:00.000Z', label: 'a', stats: { size: 100 } }
+    ]));
+    history.load(file, function (error, entries) {
+      assert.equal(error, null);
+      assert.deepEqual(entries.map(function (entry) {
+        return entry.label;
+      }), ['a', 'b']);
+      done();
+    });
+  });
+
+  it('should save stats into history file of JSON array', function (done) {
+    fs.writeFileSync(file, JSON.stringify([
+      { timestamp: '2014-01-01T00:00:00.000Z', label: 'a', stats: { size: 100 } }
+    ]));
+    history.save(file, { size: 120, published: new Date('2014-01-02T00:00:00Z') }, 'b', function (error) {
+      assert.equal(error, null);
+      assert.equal(JSON.parse(fs.readFileSync(file, 'utf8')).length, 2);
+      history.load(file, function (error, entries) {
+        assert.equal(error, null);
+        assert.deepEqual(entries.map(function (entry) {
+          return entry.label + ':' + entry.stats.size;
+        }), ['a:100', 'b:120']);
+        done();
+      });
+    });
+  });
+
+  it('should render trend charts in HTML', function (done) {
+    new Format([
+      { timestamp: '2014-01-01T00:00:00.000Z', label: 'a', stats: { size: 1024, rules: 10, importantKeywords: 2 } },
+      { timestamp: '2014-01-02T00:00:00.000Z', label: 'b', stats: { size: 2048, rules: 12, importantKeywords: 1 } }
+    ]).toTrendHTML(function (html) {
+      assert.equal(html.match(/<svg/g).length, 3);
+      assert.ok(html.indexOf('Size: 2.0KB') !== -1);
+      assert.ok(html.indexOf('points="6,114 594,6"') !== -1);
+      assert.ok(html.indexOf('Gzipped Size') === -1);
+      done();
+    });
+  });
+
+  it('should escape text in trend charts', function (done) {
+    new Format([
+      { timestamp: '<i>', stats: { size: 1024 } },
+      { timestamp: '<u>', stats: { size: 2048 } }
+    ]).toTrendHTML(function (html) {
+      assert.ok(html.indexOf('<span>&lt;i&gt; - &lt;u&gt;</span>') !== -1);
+      assert.equal(html.indexOf('<i>'), -1);
+      done();
+    });
+  });
+});
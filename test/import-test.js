@@ -0,0 +1,148 @@
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var assert = require('assert');
+var StyleStats = require('../lib/stylestats.js');
+var createServer = require('./fixture/server.js');
+
+describe('Import Chains', function () {
+
+  describe('Local files', function () {
+
+    var dir = path.join(os.tmpdir(), 'stylestats-import-test');
+    var files = {
+      'a.css': '@import "b.css" screen;\n@import url(\'sub/c.css\');\n@import "missing.css";\n.a { color: red; }\n',
+      'b.css': '@import "sub/c.css";\n.b { color: blue; }\n',
+      'sub/c.css': '@import "../a.css";\n.c { margin: 0; }\n'
+    };
+
+    /**
+     * Get path of fixture relative to current directory
+     * @param {String} file
+     * @returns {String}
+     */
+    function relative(file) {
+      return path.relative(process.cwd(), path.join(dir, file));
+    }
+
+    before(function () {
+      fs.mkdirSync(path.join(dir, 'sub'), {
+        recursive: true
+      });
+      Object.keys(files).forEach(function (file) {
+        fs.writeFileSync(path.join(dir, file), files[file]);
+      });
+    });
+
+    it('should follow imports with media conditions and detect cycles', function (done) {
+      new StyleStats(relative('a.css')).parse(function (error, result) {
+        if (error) {
+          throw error;
+        }
+        assert.equal(result.rules, 3);
+        assert.equal(result.size, Buffer.byteLength(files['sub/c.css'] + files['b.css'] + files['a.css']));
+        assert.deepEqual(result.sources.map(function (source) {
+          return source.path;
+        }), [relative('sub/c.css'), relative('b.css'), relative('a.css')]);
+        assert.deepEqual(result.uniqueMediaQueries, [
+          { media: 'screen', rules: 2, declarations: 2 }
+        ]);
+        assert.equal(result.importDepth, 2);
+        assert.equal(result.importGraph.length, 5);
+        assert.deepEqual(result.importGraph.slice(0, 4), [
+          { from: relative('a.css'), to: relative('b.css'), media: 'screen', depth: 1, status: 'loaded' },
+          { from: relative('b.css'), to: relative('sub/c.css'), media: null, depth: 2, status: 'loaded' },
+          { from: relative('sub/c.css'), to: relative('a.css'), media: null, depth: 3, status: 'cycle' },
+          { from: relative('a.css'), to: relative('sub/c.css'), media: null, depth: 1, status: 'duplicate' }
+        ]);
+        assert.equal(result.importGraph[4].to, relative('missing.css'));
+        assert.equal(result.importGraph[4].status, 'error');
+        done();
+      });
+    });
+
+    it('should not follow imports if followImports is false', function (done) {
+      new StyleStats(relative('a.css'), {
+        followImports: false
+      }).parse(function (error, result) {
+        if (error) {
+          throw error;
+        }
+        assert.equal(result.rules, 1);
+        assert.equal(result.importDepth, undefined);
+        assert.equal(result.importGraph, undefined);
+        done();
+      });
+    });
+  });
+
+  describe('Remote files', function () {
+
+    var server;
+    var baseUrl;
+
+    before(function (done) {
+      server = createServer({
+        '/': {
+          body: '<html><head>' +
+            '<link rel="stylesheet" href="/css/main.css">' +
+            '<style>@import url(css/inline.css); .page { margin: 0; }</style>' +
+            '</head><body></body></html>'
+        },
+        '/css/main.css': {
+          type: 'text/css',
+          body: '@import "theme/dark.css" (prefers-color-scheme: dark);\n.main { color: red; }\n'
+        },
+        '/css/theme/dark.css': {
+          type: 'text/css',
+          body: '@import "/css/main.css";\n.dark { color: white; }\n'
+        },
+        '/css/inline.css': {
+          type: 'text/css',
+          body: '.inline { color: blue; }\n'
+        }
+      }, function (url) {
+        baseUrl = url;
+        done();
+      });
+    });
+
+    after(function (done) {
+      server.close(done);
+    });
+
+    it('should resolve imports of stylesheets and style elements by url', function (done) {
+      new StyleStats(baseUrl + '/').parse(function (error, result) {
+        if (error) {
+          throw error;
+        }
+        assert.equal(result.rules, 4);
+        assert.equal(result.importDepth, 1);
+        assert.deepEqual(result.importGraph, [
+          {
+            from: baseUrl + '/ <style:1>',
+            to: baseUrl + '/css/inline.css',
+            media: null,
+            depth: 1,
+            status: 'loaded'
+          },
+          {
+            from: baseUrl + '/css/main.css',
+            to: baseUrl + '/css/theme/dark.css',
+            media: '(prefers-color-scheme: dark)',
+            depth: 1,
+            status: 'loaded'
+          },
+          {
+            from: baseUrl + '/css/theme/dark.css',
+            to: baseUrl + '/css/main.css',
+            media: null,
+            depth: 2,
+            status: 'cycle'
+          }
+        ]);
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,150 @@
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var assert = require('assert');
+var StyleStats = require('../lib/stylestats.js');
+var createServer = require('./fixture/server.js');
+
+describe('Inline Styles', function () {
+
+  var html = '<html><head>' +
+    '<link rel="stylesheet" href="css/style.css">' +
+    '<style>.a { color: red; }</style>' +
+    '</head><body>' +
+    '<div style="color: red; margin: 0">a</div>' +
+    '<p style="color: blue;">b</p>' +
+    '<span style="">c</span>' +
+    '<em style="{ invalid">d</em>' +
+    '</body></html>';
+  var css = '.b { color: green; }\n';
+
+  describe('Local html files', function () {
+
+    var dir = path.join(os.tmpdir(), 'stylestats-inline-test');
+    var file = path.relative(process.cwd(), path.join(dir, 'index.html'));
+
+    before(function () {
+      fs.mkdirSync(path.join(dir, 'css'), {
+        recursive: true
+      });
+      fs.writeFileSync(path.join(dir, 'index.html'), html);
+      fs.writeFileSync(path.join(dir, 'css', 'style.css'), css);
+      fs.writeFileSync(path.join(dir, 'inline.html'), '<html><head>' +
+        '<link rel="stylesheet" href="/css/style.css">' +
+        '</head><body><p style="color: red; margin: 0">a</p></body></html>');
+    });
+
+    it('should analyze stylesheets, style elements and inline styles of html file', function (done) {
+      new StyleStats(file).parse(function (error, result) {
+        if (error) {
+          throw error;
+        }
+        assert.equal(result.stylesheets, 1);
+        assert.equal(result.styleElements, 1);
+        assert.equal(result.rules, 2);
+        assert.deepEqual(result.sources.map(function (source) {
+          return source.path;
+        }), [file + ' <style:1>', path.join(path.dirname(file), 'css/style.css')]);
+        assert.equal(result.inlineStyles, 2);
+        assert.equal(result.inlineDeclarations, 3);
+        assert.deepEqual(result.inlineProperties, [
+          { property: 'color', count: 2 },
+          { property: 'margin', count: 1 }
+        ]);
+        assert.deepEqual(result.propertiesCount, [{
+          property: 'color',
+          count: 2,
+          locations: [file + ' <style:1>:1:6', path.join(path.dirname(file), 'css/style.css') + ':1:6']
+        }]);
+        done();
+      });
+    });
+
+    it('should merge inline declarations into declaration stats', function (done) {
+      new StyleStats(file, {
+        mergeInlineStyles: true
+      }).parse(function (error, result) {
+        if (error) {
+          throw error;
+        }
+        assert.deepEqual(result.propertiesCount.map(function (item) {
+          return [item.property, item.count, item.locations.length];
+        }), [
+          ['color', 4, 4],
+          ['margin', 1, 1]
+        ]);
+        done();
+      });
+    });
+
+    it('should analyze page of inline styles only and skip root-relative stylesheet', function (done) {
+      var inlineFile = path.relative(process.cwd(), path.join(dir, 'inline.html'));
+      new StyleStats(inlineFile, {
+        mergeInlineStyles: true
+      }).parse(function (error, result) {
+        if (error) {
+          throw error;
+        }
+        assert.equal(result.rules, 0);
+        assert.equal(result.simplicity, 0);
+        assert.equal(result.inlineDeclarations, 2);
+        assert.deepEqual(result.uniqueColor, ['#FF0000']);
+        assert.deepEqual(result.requestErrors, [{
+          url: '/css/style.css',
+          message: 'Root-relative path is not resolved from local page: ' + inlineFile,
+          statusCode: null,
+          code: null
+        }]);
+        done();
+      });
+    });
+  });
+
+  describe('Remote pages', function () {
+
+    var server;
+    var baseUrl;
+
+    before(function (done) {
+      server = createServer({
+        '/': {
+          body: html
+        },
+        '/css/style.css': {
+          type: 'text/css',
+          body: css
+        }
+      }, function (url) {
+        baseUrl = url;
+        done();
+      });
+    });
+
+    after(function (done) {
+      server.close(done);
+    });
+
+    it('should analyze inline styles of remote page', function (done) {
+      new StyleStats(baseUrl + '/').parse(function (error, result) {
+        if (error) {
+          throw error;
+        }
+        assert.equal(result.stylesheets, 1);
+        assert.equal(result.inlineStyles, 2);
+        assert.equal(result.inlineDeclarations, 3);
+        done();
+      });
+    });
+
+    it('should not report inline styles of stylesheets', function (done) {
+      new StyleStats(baseUrl + '/css/style.css').parse(function (error, result) {
+        if (error) {
+          throw error;
+        }
+        assert.equal(result.inlineStyles, undefined);
+        assert.equal(result.inlineProperties, undefined);
+        done();
+      });
+    });
+  });
+});
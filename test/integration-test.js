@@ -0,0 +1,165 @@
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var assert = require('assert');
+var StyleStats = require('../lib/stylestats.js');
+var Integration = require('../lib/integration.js');
+
+describe('Integration', function () {
+
+  var assets = [{
+    name: 'app.css',
+    contents: '.header { color: red; } .footer { color: blue; }'
+  }, {
+    name: 'vendor.css',
+    contents: Buffer.from('#main { float: left !important; }')
+  }];
+
+  var output = path.join(os.tmpdir(), 'stylestats-integration-test', 'report.json');
+
+  afterEach(function () {
+    if (fs.existsSync(output)) {
+      fs.unlinkSync(output);
+    }
+  });
+
+  it('should analyze each asset and write report', function (done) {
+    new Integration({
+      type: 'json',
+      output: output
+    }).run(assets).then(function (stats) {
+      assert.equal(stats.rules, 3);
+      assert.deepEqual(stats.sources.map(function (source) {
+        return source.path;
+      }), ['app.css', 'vendor.css']);
+      var report = JSON.parse(fs.readFileSync(output, 'utf8'));
+      assert.equal(report.rules, 3);
+      done();
+    }).catch(done);
+  });
+
+  it('should fail with BudgetError if asset is over thresholds', function (done) {
+    new Integration({
+      thresholds: ['idSelectors == 0', 'importantKeywords == 0']
+    }).run(assets, function (error) {
+      assert.ok(error instanceof StyleStats.BudgetError);
+      assert.equal(error.message, 'vendor.css is over budget: idSelectors == 0, importantKeywords == 0');
+      assert.equal(error.results.length, 1);
+      done();
+    });
+  });
+
+  it('should not fail if failOnThresholds is false', function (done) {
+    new Integration({
+      thresholds: ['idSelectors == 0'],
+      failOnThresholds: false
+    }).run(assets, function (error, stats) {
+      assert.equal(error, null);
+      assert.equal(stats.sources[0].budget.passed, true);
+      assert.equal(stats.sources[1].budget.passed, false);
+      done();
+    });
+  });
+
+  it('should check thresholds against total stats if sources is false', function (done) {
+    new Integration({
+      config: { sources: false },
+      thresholds: ['idSelectors == 0']
+    }).run(assets, function (error) {
+      assert.ok(error instanceof StyleStats.BudgetError);
+      assert.equal(error.message, 'Total is over budget: idSelectors == 0');
+      done();
+    });
+  });
+
+  it('should name the only asset if it is over thresholds', function (done) {
+    new Integration({
+      thresholds: ['importantKeywords == 0']
+    }).run(assets.slice(1), function (error) {
+      assert.ok(error instanceof StyleStats.BudgetError);
+      assert.equal(error.message, 'vendor.css is over budget: importantKeywords == 0');
+      done();
+    });
+  });
+
+  it('should analyze css assets emitted by webpack', function (done) {
+    var compilation = {
+      errors: [],
+      assets: {
+        'main.js': { source: function () { return 'console.log(1);'; } },
+        'main.css': { source: function () { return '#main { color: red; }'; } }
+      }
+    };
+    new Integration({
+      thresholds: { idSelectors: '== 0' }
+    }).apply({
+      hooks: {
+        emit: {
+          tapAsync: function (name, fn) {
+            fn(compilation, function () {
+              assert.equal(compilation.errors.length, 1);
+              assert.ok(compilation.errors[0] instanceof StyleStats.BudgetError);
+              done();
+            });
+          }
+        }
+      }
+    });
+  });
+
+  it('should analyze css files passing through gulp stream', function (done) {
+    var transform = new Integration({
+      type: 'json',
+      output: output
+    }).stream();
+    var files = [];
+    transform.on('data', function (file) {
+      files.push(file);
+    });
+    transform.on('finish', function () {
+      assert.equal(files.length, 2);
+      assert.equal(JSON.parse(fs.readFileSync(output, 'utf8')).rules, 1);
+      done();
+    });
+    transform.write({ path: '/src/app.css', relative: 'app.css', contents: Buffer.from('.a { color: red; }') });
+    transform.write({ path: '/src/app.js', relative: 'app.js', contents: Buffer.from('alert(1);') });
+    transform.end();
+  });
+
+  it('should register grunt task which analyzes css files of targets', function (done) {
+    var task;
+    var errors = [];
+    var grunt = {
+      registerMultiTask: function (name, description, fn) {
+        assert.equal(name, 'stylestats');
+        task = fn;
+      },
+      file: {
+        isFile: function () {
+          return true;
+        },
+        read: function (src) {
+          return src === 'app.css' ? '.a { color: red; }' : '#b { color: red; }';
+        }
+      },
+      log: {
+        error: function (message) {
+          errors.push(message);
+        }
+      }
+    };
+    new Integration({
+      thresholds: ['idSelectors == 0']
+    }).grunt(grunt);
+    task.call({
+      files: [{ src: ['app.css', 'app.js', 'vendor.css'] }],
+      async: function () {
+        return function (success) {
+          assert.equal(success, false);
+          assert.deepEqual(errors, ['vendor.css is over budget: idSelectors == 0']);
+          done();
+        };
+      }
+    });
+  });
+});
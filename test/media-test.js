@@ -0,0 +1,66 @@
+var assert = require('assert');
+var StyleStats = require('../lib/stylestats.js');
+
+describe('Media Query Statistics', function () {
+
+  var css = [
+    '.foo { color: red; }',
+    '@media (max-width: 767px) { .foo { color: blue; margin: 0; } .bar { color: blue; } }',
+    '@media (min-width: 768px) { .foo { color: green; } }',
+    '@media (max-width:767px) { .baz { color: blue; } }',
+    '@media (min-width: 64em) { .foo { color: black; } }',
+    '@media print { .foo { display: none; } }'
+  ].join('\n');
+  var statsResult;
+
+  before(function (done) {
+    new StyleStats(css).parse(function (error, result) {
+      if (error) {
+        throw error;
+      }
+      statsResult = result;
+      done();
+    });
+  });
+
+  it('should return media queries', function () {
+    assert.equal(statsResult.mediaQueries, 5);
+  });
+
+  it('should return unique media queries with rules and declarations', function () {
+    assert.equal(statsResult.totalUniqueMediaQueries, 4);
+    assert.deepEqual(statsResult.uniqueMediaQueries[0], {
+      media: '(max-width: 767px)',
+      rules: 3,
+      declarations: 4
+    });
+  });
+
+  it('should return breakpoints normalized to px', function () {
+    assert.deepEqual(statsResult.breakpoints, ['767px', '768px', '1024px']);
+  });
+
+  it('should return near duplicate breakpoints', function () {
+    assert.deepEqual(statsResult.nearDuplicateBreakpoints, ['767px, 768px']);
+  });
+
+  it('should return near duplicate breakpoints within the threshold', function (done) {
+    new StyleStats(css, {
+      nearDuplicateBreakpointsThreshold: 0
+    }).parse(function (error, result) {
+      if (error) {
+        throw error;
+      }
+      assert.deepEqual(result.nearDuplicateBreakpoints, []);
+      new StyleStats(css, {
+        nearDuplicateBreakpointsThreshold: 256
+      }).parse(function (error, result) {
+        if (error) {
+          throw error;
+        }
+        assert.deepEqual(result.nearDuplicateBreakpoints, ['767px, 768px', '768px, 1024px']);
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,128 @@
+var assert = require('assert');
+var plugin = require('../lib/plugin.js');
+var prettify = require('../lib/prettify.js');
+var StyleStats = require('../lib/stylestats.js');
+
+describe('Plugin', function () {
+
+  var css = '/* header */ .header__logo { color: red; } .headerNav { color: blue; } .header--dark .Title { color: black; }';
+
+  it('should report custom metrics loaded from module', function (done) {
+    new StyleStats(css, {
+      plugins: ['test/fixture/plugin/bem.js']
+    }).parse(function (error, result) {
+      if (error) {
+        throw error;
+      }
+      assert.deepEqual(result.bemViolations, ['.headerNav', '.Title']);
+      assert.equal(result.commentSize, 12);
+      done();
+    });
+  });
+
+  it('should report custom metrics of each source', function (done) {
+    new StyleStats([css, '.Footer { color: red; }'], {
+      plugins: ['test/fixture/plugin/bem.js']
+    }).parse(function (error, result) {
+      if (error) {
+        throw error;
+      }
+      assert.deepEqual(result.bemViolations, ['.headerNav', '.Title', '.Footer']);
+      assert.deepEqual(result.sources[0].bemViolations, ['.headerNav', '.Title']);
+      assert.deepEqual(result.sources[1].bemViolations, ['.Footer']);
+      done();
+    });
+  });
+
+  it('should accept metric object and be disabled by config', function (done) {
+    new StyleStats(css, {
+      plugins: [{
+        name: 'colorDeclarations',
+        analyze: function (rules, selectors, declarations) {
+          return declarations.filter(function (declaration) {
+            return declaration.property === 'color';
+          }).length;
+        }
+      }, 'test/fixture/plugin/bem.js'],
+      bemViolations: false
+    }).parse(function (error, result) {
+      if (error) {
+        throw error;
+      }
+      assert.equal(result.colorDeclarations, 3);
+      assert.equal(result.bemViolations, undefined);
+      done();
+    });
+  });
+
+  it('should format custom metrics with alias and format hint', function () {
+    var stats = new StyleStats(css, {
+      plugins: ['test/fixture/plugin/bem.js']
+    });
+    assert.deepEqual(prettify({
+      commentSize: 2048,
+      bemViolations: ['.headerNav', '.Title']
+    }, stats.registry), [{
+      'Comment Size': '2.0KB'
+    }, {
+      'BEM Violations': '.headerNav\n.Title'
+    }]);
+  });
+
+  it('should scope metrics to each instance', function (done) {
+    new StyleStats(css, {
+      plugins: ['test/fixture/plugin/bem.js']
+    });
+    assert.deepEqual(prettify({
+      commentSize: 2048
+    }), [{
+      commentSize: 2048
+    }]);
+    new StyleStats(css).parse(function (error, result) {
+      if (error) {
+        throw error;
+      }
+      assert.equal(result.bemViolations, undefined);
+      done();
+    });
+  });
+
+  it('should throw error if metric is invalid', function () {
+    assert.throws(function () {
+      new plugin.Registry().register({
+        name: 'invalid'
+      });
+    }, /analyze function/);
+  });
+
+  it('should throw error if metric name is reserved', function () {
+    assert.throws(function () {
+      new StyleStats(css, {
+        plugins: [{
+          name: 'size',
+          analyze: function () {
+            return 0;
+          }
+        }]
+      });
+    }, function (error) {
+      return error instanceof StyleStats.ConfigError && /reserved: size/.test(error.message);
+    });
+  });
+
+  it('should return error with name of metric which throws', function (done) {
+    new StyleStats(css, {
+      plugins: [{
+        name: 'brokenMetric',
+        analyze: function () {
+          throw new Error('Unexpected selector');
+        }
+      }]
+    }).parse(function (error) {
+      assert.ok(error instanceof StyleStats.PluginError);
+      assert.equal(error.metric, 'brokenMetric');
+      assert.equal(error.message, 'Plugin metric brokenMetric failed: Unexpected selector');
+      done();
+    });
+  });
+});
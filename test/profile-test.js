@@ -0,0 +1,170 @@
+var assert = require('assert');
+var StyleStats = require('../lib/stylestats.js');
+var defaultOptions = require('../assets/default.json');
+var createServer = require('./fixture/server.js');
+
+describe('Device Profiles', function () {
+
+  var server;
+  var baseUrl;
+  var otherServer;
+  var otherUrl;
+  var requests = [];
+
+  /**
+   * Record headers of request and respond
+   * @param {String} type
+   * @param {String} body
+   * @returns {Function}
+   */
+  function record(type, body) {
+    return function (req, res) {
+      requests.push({
+        url: req.url,
+        headers: req.headers
+      });
+      res.writeHead(200, {
+        'Content-Type': type
+      });
+      res.end(body);
+    };
+  }
+
+  before(function (done) {
+    otherServer = createServer({
+      '/cdn.css': record('text/css', '.cdn { color: blue; }'),
+      '/moved.css': record('text/css', '.moved { color: green; }')
+    }, function (url) {
+      otherUrl = url;
+      server = createServer({
+        '/': record('text/html', '<html><head><link rel="stylesheet" href="/style.css"></head><body></body></html>'),
+        '/style.css': record('text/css', '.a { color: red; }'),
+        '/cross': record('text/html', '<html><head>' +
+          '<link rel="stylesheet" href="/style.css">' +
+          '<link rel="stylesheet" href="' + otherUrl + '/cdn.css">' +
+          '<link rel="stylesheet" href="/moved.css">' +
+          '</head><body></body></html>'),
+        '/moved.css': function (req, res) {
+          requests.push({
+            url: req.url,
+            headers: req.headers
+          });
+          res.writeHead(302, {
+            'Location': otherUrl + '/moved.css'
+          });
+          res.end();
+        }
+      }, function (url) {
+        baseUrl = url;
+        done();
+      });
+    });
+  });
+
+  beforeEach(function () {
+    requests = [];
+  });
+
+  after(function (done) {
+    server.close(function () {
+      otherServer.close(done);
+    });
+  });
+
+  it('should send user agent, headers, cookies and basic auth to page and stylesheets', function (done) {
+    new StyleStats(baseUrl + '/', {
+      profile: 'ios',
+      headers: {
+        'X-Stage': 'preview'
+      },
+      cookies: {
+        session: 'abc'
+      },
+      auth: 'user:p:ss'
+    }).parse(function (error, result) {
+      if (error) {
+        throw error;
+      }
+      assert.equal(result.stylesheets, 1);
+      assert.deepEqual(requests.map(function (request) {
+        return request.url;
+      }), ['/', '/style.css']);
+      requests.forEach(function (request) {
+        assert.equal(request.headers['user-agent'], defaultOptions.profiles.ios.userAgent);
+        assert.equal(request.headers['x-stage'], 'preview');
+        assert.equal(request.headers.cookie, 'session=abc');
+        assert.equal(request.headers.authorization, 'Basic ' + Buffer.from('user:p:ss').toString('base64'));
+      });
+      done();
+    });
+  });
+
+  it('should not send cookies and basic auth to other origins', function (done) {
+    new StyleStats(baseUrl + '/cross', {
+      cookies: {
+        session: 'abc'
+      },
+      auth: 'user:p:ss'
+    }).parse(function (error, result) {
+      if (error) {
+        throw error;
+      }
+      assert.equal(result.stylesheets, 3);
+      var others = requests.filter(function (request) {
+        return 'http://' + request.headers.host === otherUrl;
+      });
+      assert.equal(requests.length, 5);
+      assert.equal(others.length, 2);
+      requests.forEach(function (request) {
+        var isOther = others.indexOf(request) !== -1;
+        assert.equal(request.headers.cookie, isOther ? undefined : 'session=abc');
+        assert.equal(request.headers.authorization !== undefined, !isOther);
+      });
+      done();
+    });
+  });
+
+  it('should use custom profile and headers of config over it', function (done) {
+    new StyleStats(baseUrl + '/style.css', {
+      profile: 'tablet',
+      profiles: {
+        tablet: {
+          userAgent: 'Tablet',
+          headers: {
+            'Accept-Language': 'ja',
+            'X-Device': 'tablet'
+          },
+          cookies: {
+            lang: 'ja'
+          }
+        }
+      },
+      headers: {
+        'Accept-Language': 'en'
+      },
+      cookies: {
+        session: 'abc'
+      }
+    }).parse(function (error) {
+      if (error) {
+        throw error;
+      }
+      var headers = requests[0].headers;
+      assert.equal(headers['user-agent'], 'Tablet');
+      assert.equal(headers['accept-language'], 'en');
+      assert.equal(headers['x-device'], 'tablet');
+      assert.equal(headers.cookie, 'lang=ja; session=abc');
+      done();
+    });
+  });
+
+  it('should throw error if profile is not found', function () {
+    assert.throws(function () {
+      new StyleStats(baseUrl + '/style.css', {
+        profile: 'unknown'
+      });
+    }, function (error) {
+      return error instanceof StyleStats.ConfigError && /Profile is not found: unknown/.test(error.message);
+    });
+  });
+});
@@ -0,0 +1,169 @@
+var zlib = require('zlib');
+var assert = require('assert');
+var StyleStats = require('../lib/stylestats.js');
+var createServer = require('./fixture/server.js');
+
+describe('Remote Requests', function () {
+
+  var server;
+  var baseUrl;
+  var counts = {};
+
+  /**
+   * Count requests of the route
+   * @param {String} name
+   * @returns {Number}
+   */
+  function count(name) {
+    counts[name] = (counts[name] || 0) + 1;
+    return counts[name];
+  }
+
+  before(function (done) {
+    server = createServer({
+      '/a.css': {
+        type: 'text/css',
+        body: '.a { color: red; }'
+      },
+      '/b.css': {
+        type: 'text/css',
+        body: '.b { color: blue; }'
+      },
+      '/old.css': {
+        status: 301,
+        headers: {
+          'Location': '/a.css'
+        },
+        body: ''
+      },
+      '/gzip.css': function (req, res) {
+        res.writeHead(200, {
+          'Content-Type': 'text/css',
+          'Content-Encoding': 'gzip'
+        });
+        res.end(zlib.gzipSync('.gzip { color: red; }'));
+      },
+      '/latin1.css': {
+        type: 'text/css; charset=iso-8859-1',
+        body: Buffer.from('.latin1 { font-family: "Café"; }', 'latin1')
+      },
+      '/charset.css': {
+        type: 'text/css',
+        body: Buffer.from('@charset "iso-8859-1";\n.charset { font-family: "Café"; }', 'latin1')
+      },
+      '/flaky.css': function (req, res) {
+        var status = count('flaky') < 3 ? 503 : 200;
+        res.writeHead(status, {
+          'Content-Type': 'text/css'
+        });
+        res.end('.flaky { color: red; }');
+      },
+      '/missing.css': function (req, res) {
+        count('missing');
+        res.writeHead(404);
+        res.end('Not Found');
+      },
+      '/slow.css': function (req, res) {
+        setTimeout(function () {
+          res.writeHead(200, {
+            'Content-Type': 'text/css'
+          });
+          res.end('.slow { color: red; }');
+        }, 300);
+      }
+    }, function (url) {
+      baseUrl = url;
+      done();
+    });
+  });
+
+  after(function (done) {
+    server.close(done);
+  });
+
+  it('should request concurrent urls with their own options', function (done) {
+    new StyleStats([baseUrl + '/a.css', baseUrl + '/b.css']).parse(function (error, result) {
+      if (error) {
+        throw error;
+      }
+      assert.deepEqual(result.sources.map(function (source) {
+        return source.path;
+      }), [baseUrl + '/a.css', baseUrl + '/b.css']);
+      assert.equal(result.rules, 2);
+      done();
+    });
+  });
+
+  it('should follow redirects and decode compressed response', function (done) {
+    new StyleStats([baseUrl + '/old.css', baseUrl + '/gzip.css']).parse(function (error, result) {
+      if (error) {
+        throw error;
+      }
+      assert.deepEqual(result.sources.map(function (source) {
+        return source.path;
+      }), [baseUrl + '/a.css', baseUrl + '/gzip.css']);
+      assert.equal(result.rules, 2);
+      done();
+    });
+  });
+
+  it('should decode response with charset of header or @charset', function (done) {
+    new StyleStats([baseUrl + '/latin1.css', baseUrl + '/charset.css']).parse(function (error, result) {
+      if (error) {
+        throw error;
+      }
+      assert.deepEqual(result.uniqueFontFamily, ['"Café"']);
+      done();
+    });
+  });
+
+  it('should retry on server error with backoff', function (done) {
+    new StyleStats(baseUrl + '/flaky.css', {
+      requestRetries: 2,
+      retryDelay: 10
+    }).parse(function (error, result) {
+      if (error) {
+        throw error;
+      }
+      assert.equal(counts.flaky, 3);
+      assert.equal(result.rules, 1);
+      done();
+    });
+  });
+
+  it('should report failed urls without aborting', function (done) {
+    new StyleStats([baseUrl + '/a.css', baseUrl + '/missing.css', baseUrl + '/slow.css'], {
+      requestTimeout: 50,
+      requestRetries: 1,
+      retryDelay: 10
+    }).parse(function (error, result) {
+      if (error) {
+        throw error;
+      }
+      assert.equal(result.rules, 1);
+      assert.equal(counts.missing, 1);
+      assert.equal(result.requestErrors.length, 2);
+      assert.deepEqual(result.requestErrors[0], {
+        url: baseUrl + '/missing.css',
+        message: 'Status code is 404',
+        statusCode: 404,
+        code: null
+      });
+      assert.equal(result.requestErrors[1].url, baseUrl + '/slow.css');
+      assert.ok(/TIMEDOUT/.test(result.requestErrors[1].code));
+      done();
+    });
+  });
+
+  it('should abort if failOnRequestError is true', function (done) {
+    new StyleStats([baseUrl + '/a.css', baseUrl + '/missing.css'], {
+      failOnRequestError: true
+    }).parse(function (error, result) {
+      assert.ok(error instanceof StyleStats.NetworkError);
+      assert.equal(error.url, baseUrl + '/missing.css');
+      assert.equal(error.statusCode, 404);
+      assert.equal(result, undefined);
+      done();
+    });
+  });
+});
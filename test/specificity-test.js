@@ -0,0 +1,102 @@
+var assert = require('assert');
+var specificity = require('../lib/specificity.js');
+var prettify = require('../lib/prettify.js');
+var StyleStats = require('../lib/stylestats.js');
+
+describe('Specificity', function () {
+
+  describe('calculate()', function () {
+
+    it('should return 0,0,0 for universal selector', function () {
+      assert.deepEqual(specificity.calculate('*'), [0, 0, 0]);
+    });
+
+    it('should count type selectors and pseudo-elements', function () {
+      assert.deepEqual(specificity.calculate('ul ol+li'), [0, 0, 3]);
+      assert.deepEqual(specificity.calculate('a::-moz-selection'), [0, 0, 2]);
+      assert.deepEqual(specificity.calculate('p:first-line'), [0, 0, 2]);
+    });
+
+    it('should count classes, attributes and pseudo-classes', function () {
+      assert.deepEqual(specificity.calculate('h1 + *[rel=up]'), [0, 1, 1]);
+      assert.deepEqual(specificity.calculate('li.red.level'), [0, 2, 1]);
+      assert.deepEqual(specificity.calculate('a:hover'), [0, 1, 1]);
+      assert.deepEqual(specificity.calculate('input[type="a]b"]'), [0, 1, 1]);
+    });
+
+    it('should count id selectors', function () {
+      assert.deepEqual(specificity.calculate('#x34y'), [1, 0, 0]);
+    });
+
+    it('should take the most specific argument of :not() and :is()', function () {
+      assert.deepEqual(specificity.calculate('#s12:not(FOO)'), [1, 0, 1]);
+      assert.deepEqual(specificity.calculate('.a:is(#b, .c)'), [1, 1, 0]);
+    });
+
+    it('should ignore arguments of :where()', function () {
+      assert.deepEqual(specificity.calculate('.a:where(#b)'), [0, 1, 0]);
+    });
+
+    it('should add argument of :host() and ::slotted() to their own', function () {
+      assert.deepEqual(specificity.calculate(':host(.x)'), [0, 2, 0]);
+      assert.deepEqual(specificity.calculate('::slotted(span)'), [0, 0, 2]);
+      assert.deepEqual(specificity.calculate(':host'), [0, 1, 0]);
+    });
+
+    it('should treat escaped characters as identifier', function () {
+      assert.deepEqual(specificity.calculate('.foo\\:bar'), [0, 1, 0]);
+    });
+  });
+
+  describe('compare()', function () {
+
+    it('should return positive if first specificity is higher', function () {
+      assert.ok(specificity.compare([1, 0, 0], [0, 10, 10]) > 0);
+      assert.ok(specificity.compare([0, 1, 0], [0, 1, 1]) < 0);
+      assert.equal(specificity.compare([0, 1, 1], [0, 1, 1]), 0);
+    });
+  });
+
+  describe('StyleStats', function () {
+
+    var css = '#a { color: red; } .b.c.d.e.f.g.h.i.j.k.l { color: red; } p { color: red; } .m { color: red; }';
+
+    it('should return specificity graph which keeps each component', function (done) {
+      new StyleStats(css).parse(function (error, result) {
+        if (error) {
+          throw error;
+        }
+        assert.deepEqual(result.specificityGraph, [[1, 0, 0], [0, 11, 0], [0, 0, 1], [0, 1, 0]]);
+        var graph = prettify({
+          specificityGraph: result.specificityGraph
+        })[0]['Specificity Graph'];
+        assert.equal(graph.length, 4);
+        assert.ok(graph[0] > graph[1]);
+        assert.ok(graph[1] > graph[3]);
+        assert.ok(graph[3] > graph[2]);
+        done();
+      });
+    });
+
+    it('should return location with line and column of highest specificity selector', function (done) {
+      new StyleStats('.x, .y { color: red; } .z, #w .v { color: red; }').parse(function (error, result) {
+        if (error) {
+          throw error;
+        }
+        assert.equal(result.highestSpecificitySelector, '#w .v');
+        assert.equal(result.highestSpecificityLocation, '<style:1>:1:24');
+        done();
+      });
+    });
+
+    it('should return average of two middle values as median of even count', function (done) {
+      new StyleStats(css).parse(function (error, result) {
+        if (error) {
+          throw error;
+        }
+        assert.equal(result.medianSpecificity, '0,6,0');
+        done();
+      });
+    });
+  });
+});
@@ -40,17 +40,54 @@ describe('CSS Statistics', function() {
   it('should return most identifier selector', function() {
     assert.equal(statsResult.mostIdentifierSelector, '.foo  .bar > .baz + .qux ~ .quux:before');
   });
+  it('should return most identifier location', function() {
+    assert.equal(statsResult.mostIdentifierLocation, 'test/fixture/test.css:15:1');
+  });
   it('should return lowest cohesion', function() {
     assert.equal(statsResult.lowestCohesion, 8);
   });
   it('should return lowest cohesion selector', function() {
     assert.equal(statsResult.lowestCohesionSelector, 'hr');
   });
+  it('should return lowest cohesion location', function() {
+    assert.equal(statsResult.lowestCohesionLocation, 'test/fixture/test.css:24:1');
+  });
+  it('should return highest specificity', function() {
+    assert.equal(statsResult.highestSpecificity, '1,1,0');
+  });
+  it('should return highest specificity selector', function() {
+    assert.equal(statsResult.highestSpecificitySelector, '#foo [src]');
+  });
+  it('should return highest specificity location', function() {
+    assert.equal(statsResult.highestSpecificityLocation, 'test/fixture/test.css:19:1');
+  });
+  it('should return average specificity', function() {
+    assert.equal(statsResult.averageSpecificity, '0.07,0.6,0.67');
+  });
+  it('should return median specificity', function() {
+    assert.equal(statsResult.medianSpecificity, '0,0,1');
+  });
+  it('should return specificity histogram', function() {
+    assert.deepEqual(statsResult.specificityHistogram[0], { specificity: '1,1,0', count: 1 });
+    assert.deepEqual(statsResult.specificityHistogram[3], { specificity: '0,0,1', count: 9 });
+  });
+  it('should return specificity graph', function() {
+    assert.deepEqual(statsResult.specificityGraph, [
+      [0, 0, 1], [0, 0, 1], [0, 0, 1], [0, 0, 1], [0, 0, 1], [0, 0, 1], [0, 0, 1], [0, 0, 1],
+      [0, 5, 1], [1, 1, 0], [0, 0, 1], [0, 1, 0], [0, 1, 0], [0, 0, 0], [0, 1, 0]
+    ]);
+  });
   it('should return total unique font sizes', function() {
     assert.equal(statsResult.totalUniqueFontSizes, 5);
   });
   it('should return total unique colors', function() {
-    assert.equal(statsResult.totalUniqueColors, 2);
+    assert.equal(statsResult.totalUniqueColors, 3);
+  });
+  it('should return unique colors from all of color properties', function() {
+    assert.deepEqual(statsResult.uniqueColor, ['#333333', '#CCCCCC', '#FF0000']);
+  });
+  it('should return color usage', function() {
+    assert.deepEqual(statsResult.colorUsage[0], { color: '#333333', count: 1, locations: ['test/fixture/test.css:2:2'] });
   });
   it('should return total unique font families', function() {
     assert.equal(statsResult.totalUniqueFontFamilies, 0);
@@ -79,4 +116,7 @@ describe('CSS Statistics', function() {
   it('should return media queries"', function() {
     assert.equal(statsResult.mediaQueries, 1);
   });
+  it('should not return sources of single source', function() {
+    assert.equal(statsResult.sources, undefined);
+  });
 });
@@ -0,0 +1,88 @@
+var assert = require('assert');
+var typography = require('../lib/typography.js');
+var StyleStats = require('../lib/stylestats.js');
+
+describe('Typography', function () {
+
+  describe('parseFont()', function () {
+
+    it('should parse font shorthand into its parts', function () {
+      assert.deepEqual(typography.parseFont('italic small-caps bold 12px/1.5 Georgia, serif'), {
+        fontStyle: 'italic',
+        fontVariant: 'small-caps',
+        fontWeight: 'bold',
+        fontSize: '12px',
+        lineHeight: '1.5',
+        fontFamily: 'Georgia, serif'
+      });
+      assert.deepEqual(typography.parseFont('1.2em "Helvetica Neue", sans-serif !important'), {
+        fontStyle: null,
+        fontVariant: null,
+        fontWeight: null,
+        fontSize: '1.2em',
+        lineHeight: null,
+        fontFamily: '"Helvetica Neue", sans-serif'
+      });
+    });
+
+    it('should return null if it is system font or global keyword', function () {
+      assert.equal(typography.parseFont('caption'), null);
+      assert.equal(typography.parseFont('inherit'), null);
+    });
+  });
+
+  describe('toPx()', function () {
+
+    it('should convert font-size into px', function () {
+      assert.equal(typography.toPx('12px', 16), 12);
+      assert.equal(typography.toPx('12pt', 16), 16);
+      assert.equal(typography.toPx('1.5em', 16), 24);
+      assert.equal(typography.toPx('2rem', 10), 20);
+      assert.equal(typography.toPx('75%', 16), 12);
+      assert.equal(typography.toPx('small', 16), 13);
+    });
+
+    it('should return null if it can not be converted', function () {
+      assert.equal(typography.toPx('smaller', 16), null);
+      assert.equal(typography.toPx('2vw', 16), null);
+    });
+  });
+
+  describe('StyleStats', function () {
+
+    var css = '.a { font: bold 1.5em/1.2 Georgia, serif; } ' +
+      '.b { font-size: 12px; line-height: 20px; font-weight: 700; letter-spacing: .1em; } ' +
+      '.c { font-size: 2rem; font-weight: 300; letter-spacing: -1px; } ' +
+      '.d { font-size: larger; }';
+
+    it('should analyze typography including font shorthand', function (done) {
+      new StyleStats(css).parse(function (error, result) {
+        if (error) {
+          throw error;
+        }
+        assert.deepEqual(result.uniqueFontSize, ['12px', '1.5em', '2rem', 'larger']);
+        assert.deepEqual(result.uniqueFontFamily, ['Georgia, serif']);
+        assert.deepEqual(result.uniqueLineHeight, ['1.2', '20px']);
+        assert.deepEqual(result.uniqueFontWeight, ['300', '700']);
+        assert.deepEqual(result.uniqueLetterSpacing, ['-1px', '.1em']);
+        assert.deepEqual(result.fontSizeUnits[0], { unit: 'px', count: 1, values: ['12px'] });
+        assert.equal(result.fontSizeUnits.length, 4);
+        done();
+      });
+    });
+
+    it('should convert font sizes into px with root font size', function (done) {
+      new StyleStats(css, { rootFontSize: 10 }).parse(function (error, result) {
+        if (error) {
+          throw error;
+        }
+        assert.deepEqual(result.fontSizeScale, [
+          { fontSize: '12px', px: 12 },
+          { fontSize: '1.5em', px: 15 },
+          { fontSize: '2rem', px: 20 }
+        ]);
+        done();
+      });
+    });
+  });
+});
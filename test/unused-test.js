@@ -0,0 +1,66 @@
+var assert = require('assert');
+var unused = require('../lib/unused.js');
+var StyleStats = require('../lib/stylestats.js');
+
+describe('Unused Selectors', function () {
+
+  describe('stripPseudo()', function () {
+
+    it('should strip pseudo-classes and pseudo-elements', function () {
+      assert.equal(unused.stripPseudo('a:hover'), 'a');
+      assert.equal(unused.stripPseudo('p::before'), 'p');
+      assert.equal(unused.stripPseudo('.nav li:not(.active):first-child'), '.nav li');
+      assert.equal(unused.stripPseudo('ul > :first-child'), 'ul > *');
+      assert.equal(unused.stripPseudo('.sm\\:hidden'), '.sm\\:hidden');
+    });
+  });
+
+  describe('StyleStats', function () {
+
+    var css = '.header { margin: 0; }\n' +
+      '.logo:hover, .footer { color: red; }\n' +
+      '.lead::first-line { font-weight: bold; }\n' +
+      '.sidebar { float: left; }\n' +
+      '@media (min-width: 768px) { .modal { display: none; } }\n';
+
+    it('should find unused selectors against several pages', function (done) {
+      new StyleStats(css, {
+        pages: ['test/fixture/unused/index.html', 'test/fixture/unused/about.html']
+      }).parse(function (error, result) {
+        if (error) {
+          throw error;
+        }
+        assert.equal(result.totalUnusedSelectors, 3);
+        assert.deepEqual(result.unusedSelectors, [
+          { selector: '.footer', location: '<style:1>:2:1' },
+          { selector: '.sidebar', location: '<style:1>:4:1' },
+          { selector: '.modal', location: '<style:1>:5:29' }
+        ]);
+        assert.equal(result.unusedRules, 2);
+        assert.equal(result.ratioOfUnusedSize, (25 + 25) / Buffer.byteLength(css));
+        done();
+      });
+    });
+
+    it('should throw error if local page is not found', function (done) {
+      new StyleStats(css, {
+        pages: ['test/fixture/unused/missing.html']
+      }).parse(function (error) {
+        assert.ok(error instanceof StyleStats.NoInputError);
+        assert.equal(error.message, 'Page is not found: test/fixture/unused/missing.html');
+        assert.equal(error.url, 'test/fixture/unused/missing.html');
+        done();
+      });
+    });
+
+    it('should not report unused selectors without pages', function (done) {
+      new StyleStats(css).parse(function (error, result) {
+        if (error) {
+          throw error;
+        }
+        assert.equal(result.unusedSelectors, undefined);
+        done();
+      });
+    });
+  });
+});
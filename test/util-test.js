@@ -1,3 +1,4 @@
+var fs = require('fs');
 var assert = require('assert');
 var util = require('../lib/util.js');
 
@@ -41,4 +42,25 @@ describe('Utility functions', function() {
       assert.equal(result, false);
     });
   });
+
+  describe('isStream()', function () {
+
+    it('should return true if specified object is a readable stream', function() {
+      var result = util.isStream(fs.createReadStream('test/fixture/app.css'));
+      assert.equal(result, true);
+    });
+
+    it('should return false if specified object is not a stream', function() {
+      assert.equal(util.isStream('.foo{}'), false);
+      assert.equal(util.isStream(null), false);
+    });
+  });
+
+  describe('getOrigin()', function () {
+
+    it('should return protocol and host of URL', function() {
+      assert.equal(util.getOrigin('https://example.com:8080/css/app.css?v=1'), 'https://example.com:8080');
+      assert.equal(util.getOrigin('http://example.com/'), 'http://example.com');
+    });
+  });
 });
@@ -0,0 +1,41 @@
+var assert = require('assert');
+var StyleStats = require('../lib/stylestats.js');
+
+describe('Vendor Prefixes', function () {
+
+  var css = '.a { -webkit-transition: all .2s; -moz-transition: all .2s; transition: all .2s; }\n' +
+    '.b { display: -ms-flexbox; display: flex; background: -webkit-gradient(linear, left top, left bottom, from(#fff), to(#000)); }\n' +
+    '::-moz-selection { color: red; }\n' +
+    'input::-webkit-input-placeholder, input::placeholder { color: gray; }\n' +
+    '.c { *zoom: 1; _height: 1px; color: red\\9; filter: progid:DXImageTransform.Microsoft.gradient(startColorstr=#ffffff); }\n';
+
+  it('should count vendor prefixed properties, values and selectors', function (done) {
+    new StyleStats(css).parse(function (error, result) {
+      if (error) {
+        throw error;
+      }
+      assert.equal(result.prefixedProperties, 2);
+      assert.equal(result.prefixedValues, 2);
+      assert.equal(result.prefixedSelectors, 2);
+      assert.deepEqual(result.vendorPrefixes, [
+        { vendor: '-webkit-', properties: 1, values: 1, selectors: 1 },
+        { vendor: '-moz-', properties: 1, values: 0, selectors: 1 },
+        { vendor: '-ms-', properties: 0, values: 1, selectors: 0 }
+      ]);
+      done();
+    });
+  });
+
+  it('should detect IE hacks', function (done) {
+    new StyleStats(css).parse(function (error, result) {
+      if (error) {
+        throw error;
+      }
+      assert.equal(result.browserHacks, 4);
+      assert.deepEqual(result.browserHackTypes.map(function (item) {
+        return item.hack;
+      }).sort(), ['*property', '\\9', '_property', 'progid:']);
+      done();
+    });
+  });
+});